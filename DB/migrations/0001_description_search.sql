@@ -0,0 +1,10 @@
+CREATE EXTENSION IF NOT EXISTS pg_trgm;--> statement-breakpoint
+-- Databases set up from the migrations alone still call the table "sales_data" until the next
+-- migration renames it, so the indexes go on whichever table holds the data; they follow the rename.
+DO $$
+DECLARE
+	sales regclass := coalesce(to_regclass('public.online_retail_data'), to_regclass('public.sales_data'));
+BEGIN
+	EXECUTE format('CREATE INDEX "online_retail_data_description_fts_idx" ON %s USING gin (to_tsvector(''english'', coalesce("description", '''')))', sales);
+	EXECUTE format('CREATE INDEX "online_retail_data_description_trgm_idx" ON %s USING gin ("description" gin_trgm_ops)', sales);
+END $$;
@@ -0,0 +1,21 @@
+-- The first migration created "sales_data", but the data was loaded into "online_retail_data".
+-- Databases set up from the migrations alone get their table renamed; those loaded directly into
+-- "online_retail_data" still have the empty "sales_data" table, which is dropped (never if it
+-- holds data).
+DO $$
+BEGIN
+	IF to_regclass('public.online_retail_data') IS NULL AND to_regclass('public.sales_data') IS NOT NULL THEN
+		ALTER TABLE "sales_data" RENAME TO "online_retail_data";
+	ELSIF to_regclass('public.online_retail_data') IS NOT NULL AND to_regclass('public.sales_data') IS NOT NULL THEN
+		IF NOT EXISTS (SELECT 1 FROM "sales_data") THEN
+			DROP TABLE "sales_data";
+		END IF;
+	END IF;
+END $$;--> statement-breakpoint
+-- Existing rows are numbered when the identity column is added
+ALTER TABLE "online_retail_data" ADD COLUMN "id" integer PRIMARY KEY NOT NULL GENERATED BY DEFAULT AS IDENTITY (sequence name "online_retail_data_id_seq" INCREMENT BY 1 MINVALUE 1 MAXVALUE 2147483647 START WITH 1 CACHE 1);--> statement-breakpoint
+CREATE INDEX "online_retail_data_invoice_no_stock_code_idx" ON "online_retail_data" USING btree ("invoice_no","stock_code");--> statement-breakpoint
+CREATE INDEX "online_retail_data_invoice_date_idx" ON "online_retail_data" USING btree ("invoice_date");--> statement-breakpoint
+CREATE INDEX "online_retail_data_country_idx" ON "online_retail_data" USING btree ("country");--> statement-breakpoint
+CREATE INDEX "online_retail_data_customer_id_idx" ON "online_retail_data" USING btree ("customer_id");--> statement-breakpoint
+CREATE INDEX "online_retail_data_stock_code_idx" ON "online_retail_data" USING btree (upper(trim("stock_code")));
\ No newline at end of file
@@ -0,0 +1,12 @@
+CREATE TABLE "api_keys" (
+	"id" integer PRIMARY KEY GENERATED BY DEFAULT AS IDENTITY (sequence name "api_keys_id_seq" INCREMENT BY 1 MINVALUE 1 MAXVALUE 2147483647 START WITH 1 CACHE 1),
+	"name" varchar(100) NOT NULL,
+	"key_prefix" varchar(12) NOT NULL,
+	"key_hash" varchar(64) NOT NULL,
+	"role" varchar(10) NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"last_used_at" timestamp,
+	"revoked_at" timestamp
+);
+--> statement-breakpoint
+CREATE UNIQUE INDEX "api_keys_key_hash_idx" ON "api_keys" USING btree ("key_hash");
\ No newline at end of file
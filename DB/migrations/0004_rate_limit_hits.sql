@@ -0,0 +1,7 @@
+CREATE TABLE "rate_limit_hits" (
+	"key" varchar(200) PRIMARY KEY NOT NULL,
+	"hits" integer NOT NULL,
+	"reset_at" timestamp with time zone NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX "rate_limit_hits_reset_at_idx" ON "rate_limit_hits" USING btree ("reset_at");
\ No newline at end of file
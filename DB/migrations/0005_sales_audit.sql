@@ -0,0 +1,15 @@
+CREATE TABLE "sales_audit" (
+	"id" integer PRIMARY KEY GENERATED BY DEFAULT AS IDENTITY (sequence name "sales_audit_id_seq" INCREMENT BY 1 MINVALUE 1 MAXVALUE 2147483647 START WITH 1 CACHE 1),
+	"line_id" integer NOT NULL,
+	"action" varchar(10) NOT NULL,
+	"before" jsonb,
+	"after" jsonb,
+	"revert_of" integer,
+	"api_key_id" integer,
+	"api_key_name" varchar(100),
+	"client_ip" varchar(45),
+	"changed_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX "sales_audit_line_id_idx" ON "sales_audit" USING btree ("line_id","changed_at");--> statement-breakpoint
+CREATE INDEX "sales_audit_invoice_no_idx" ON "sales_audit" USING btree (coalesce("after" ->> 'invoiceNo', "before" ->> 'invoiceNo'));
\ No newline at end of file
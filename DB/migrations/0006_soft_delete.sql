@@ -0,0 +1,2 @@
+ALTER TABLE "online_retail_data" ADD COLUMN "deleted_at" timestamp;--> statement-breakpoint
+CREATE INDEX "online_retail_data_deleted_at_idx" ON "online_retail_data" USING btree ("deleted_at") WHERE "online_retail_data"."deleted_at" is not null;
\ No newline at end of file
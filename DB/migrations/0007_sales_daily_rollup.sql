@@ -0,0 +1,21 @@
+CREATE TABLE "sales_daily_rollup" (
+	"day" date NOT NULL,
+	"country" varchar(100) NOT NULL,
+	"product_code" varchar(20) NOT NULL,
+	"is_return" boolean NOT NULL,
+	"lines" integer NOT NULL,
+	"quantity" bigint NOT NULL,
+	"revenue" numeric NOT NULL,
+	"unit_price_sum" numeric NOT NULL,
+	CONSTRAINT "sales_daily_rollup_day_country_product_code_is_return_pk" PRIMARY KEY("day","country","product_code","is_return")
+);
+--> statement-breakpoint
+CREATE TABLE "sales_rollup_dirty_days" (
+	"day" date PRIMARY KEY NOT NULL,
+	"version" integer DEFAULT 1 NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX "sales_daily_rollup_product_code_idx" ON "sales_daily_rollup" USING btree ("product_code","day");--> statement-breakpoint
+-- Every day with sales starts out of date, so the first scheduled refresh builds the rollups
+INSERT INTO "sales_rollup_dirty_days" ("day")
+SELECT DISTINCT "invoice_date"::date FROM "online_retail_data";
@@ -1,8 +1,11 @@
 // drizzle/schema/salesData.js or salesData.ts (for TypeScript)
 
-import { pgTable, varchar, integer, timestamp, numeric } from 'drizzle-orm/pg-core';
+import { pgTable, varchar, integer, bigint, boolean, date, timestamp, numeric, jsonb, index, uniqueIndex, primaryKey } from 'drizzle-orm/pg-core';
+import { sql } from 'drizzle-orm';
 
 export const salesData = pgTable('online_retail_data', {
+    // Surrogate key: (invoiceNo, stockCode) is not unique in the dataset
+    id: integer('id').primaryKey().generatedByDefaultAsIdentity(),
     invoiceNo: varchar('invoice_no', { length: 20 }).notNull(),
     stockCode: varchar('stock_code', { length: 20 }).notNull(),
     description: varchar('description', { length: 255 }),
@@ -11,4 +14,84 @@ export const salesData = pgTable('online_retail_data', {
     unitPrice: numeric('unit_price', { precision: 10, scale: 2 }).notNull(),
     customerId: integer('customer_id'), // Nullable by default
     country: varchar('country', { length: 100 }).notNull(),
+    // Set when the line is moved to the trash; trashed lines are hidden everywhere but the trash routes
+    deletedAt: timestamp('deleted_at', { withTimezone: false }),
+}, (table) => [
+    index('online_retail_data_invoice_no_stock_code_idx').on(table.invoiceNo, table.stockCode),
+    index('online_retail_data_invoice_date_idx').on(table.invoiceDate),
+    index('online_retail_data_country_idx').on(table.country),
+    index('online_retail_data_customer_id_idx').on(table.customerId),
+    // Products are matched on the normalized stock code (see productCode in utils/salesFilters.js)
+    index('online_retail_data_stock_code_idx').using('btree', sql`upper(trim(${table.stockCode}))`),
+    // Description search: full-text for words, trigrams for misspellings (see utils/search.js)
+    index('online_retail_data_description_fts_idx').using('gin', sql`to_tsvector('english', coalesce(${table.description}, ''))`),
+    index('online_retail_data_description_trgm_idx').using('gin', table.description.op('gin_trgm_ops')),
+    // Only trashed lines, for the trash listing and the purge
+    index('online_retail_data_deleted_at_idx').on(table.deletedAt).where(sql`${table.deletedAt} is not null`),
+]);
+
+// API keys are stored as SHA-256 hashes; the plain key is only shown once, when it is created
+export const apiKeys = pgTable('api_keys', {
+    id: integer('id').primaryKey().generatedByDefaultAsIdentity(),
+    name: varchar('name', { length: 100 }).notNull(),
+    // First characters of the key, so a key can be recognised in listings without storing it
+    keyPrefix: varchar('key_prefix', { length: 12 }).notNull(),
+    keyHash: varchar('key_hash', { length: 64 }).notNull(),
+    role: varchar('role', { length: 10 }).notNull(), // read | write | admin
+    createdAt: timestamp('created_at', { withTimezone: false }).defaultNow().notNull(),
+    lastUsedAt: timestamp('last_used_at', { withTimezone: false }),
+    revokedAt: timestamp('revoked_at', { withTimezone: false }),
+}, (table) => [
+    uniqueIndex('api_keys_key_hash_idx').on(table.keyHash),
+]);
+
+// Request counters for the rate limiter when RATE_LIMIT_STORE=postgres (see utils/rateLimitStore.js)
+export const rateLimitHits = pgTable('rate_limit_hits', {
+    key: varchar('key', { length: 200 }).primaryKey(),
+    hits: integer('hits').notNull(),
+    resetAt: timestamp('reset_at', { withTimezone: true }).notNull(),
+}, (table) => [
+    index('rate_limit_hits_reset_at_idx').on(table.resetAt),
+]);
+
+// One row per change to a sales line, with the line as it was before and after (see utils/salesAudit.js).
+// No foreign key to the line: the history outlives deleted lines.
+export const salesAudit = pgTable('sales_audit', {
+    id: integer('id').primaryKey().generatedByDefaultAsIdentity(),
+    lineId: integer('line_id').notNull(),
+    action: varchar('action', { length: 10 }).notNull(), // create | update | delete | restore | revert | purge
+    before: jsonb('before'), // null for creates
+    after: jsonb('after'), // null for purges
+    revertOf: integer('revert_of'), // audit entry whose state a revert restored
+    apiKeyId: integer('api_key_id'),
+    apiKeyName: varchar('api_key_name', { length: 100 }),
+    clientIp: varchar('client_ip', { length: 45 }),
+    changedAt: timestamp('changed_at', { withTimezone: false }).defaultNow().notNull(),
+}, (table) => [
+    index('sales_audit_line_id_idx').on(table.lineId, table.changedAt),
+    // Invoice numbers can't be changed, so every entry of a line carries the same one
+    index('sales_audit_invoice_no_idx').using('btree', sql`coalesce(${table.after} ->> 'invoiceNo', ${table.before} ->> 'invoiceNo')`),
+]);
+
+// Sales totals per day, country, product (normalized stock code) and transaction type, so day-aligned
+// analytics don't scan every line (see utils/salesRollups.js). Trashed lines are left out.
+export const salesDailyRollup = pgTable('sales_daily_rollup', {
+    day: date('day').notNull(),
+    country: varchar('country', { length: 100 }).notNull(),
+    productCode: varchar('product_code', { length: 20 }).notNull(),
+    isReturn: boolean('is_return').notNull(),
+    lines: integer('lines').notNull(),
+    quantity: bigint('quantity', { mode: 'number' }).notNull(),
+    revenue: numeric('revenue').notNull(),
+    unitPriceSum: numeric('unit_price_sum').notNull(),
+}, (table) => [
+    primaryKey({ columns: [table.day, table.country, table.productCode, table.isReturn] }),
+    index('sales_daily_rollup_product_code_idx').on(table.productCode, table.day),
+]);
+
+// Days whose rollup rows are out of date. Every write marks the days of the lines it changed, in the
+// same statement; the version tells a refresh whether the day changed again while it was computed.
+export const salesRollupDirtyDays = pgTable('sales_rollup_dirty_days', {
+    day: date('day').primaryKey(),
+    version: integer('version').default(1).notNull(),
 });
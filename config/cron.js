@@ -1,5 +1,7 @@
 import cron from "cron";
 import https from "https";
+import { purgeTrash, TRASH_RETENTION_DAYS } from "../utils/salesAudit.js";
+import { refreshRollups } from "../utils/salesRollups.js";
 
 const job = new cron.CronJob("*/14 * * * *", function () {
   https
@@ -12,6 +14,31 @@ const job = new cron.CronJob("*/14 * * * *", function () {
 
 export default job;
 
+// Every day at 3 AM, delete for good the sales lines that have been in the trash for longer than
+// the retention period (TRASH_RETENTION_DAYS)
+export const trashPurgeJob = new cron.CronJob("0 3 * * *", async function () {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+
+  try {
+    const purged = await purgeTrash(cutoff, { apiKeyId: null, apiKeyName: null, clientIp: null })
+    console.log(`Purged ${purged} sales records from the trash`)
+  } catch (e) {
+    console.error("Error while purging the trash", e)
+  }
+});
+
+// Every 10 minutes, refresh the daily rollups of the days still marked dirty: writes only refresh
+// their own days straight away, this catches up when that failed and works through any backlog
+// (e.g. the days a migration marked dirty)
+export const rollupRefreshJob = new cron.CronJob("*/10 * * * *", async function () {
+  try {
+    const days = await refreshRollups()
+    if (days > 0) console.log(`Refreshed the sales rollups of ${days} days`)
+  } catch (e) {
+    console.error("Error while refreshing the sales rollups", e)
+  }
+});
+
 // CRON JOB EXPLANATION:
 // Cron jobs are scheduled tasks that run periodically at fixed intervals
 // we want to send 1 GET request for every 14 minutes so that our api never gets inactive on Render.com
@@ -1,17 +1,69 @@
-    // import { drizzle } from 'drizzle-orm/node-postgres';
+import pg from 'pg';
+import ws from 'ws';
+import { neon, neonConfig, Pool as NeonPool } from '@neondatabase/serverless';
+import { drizzle as drizzleNeonHttp } from 'drizzle-orm/neon-http';
+import { drizzle as drizzleNeonWs } from 'drizzle-orm/neon-serverless';
+import { drizzle as drizzlePg } from 'drizzle-orm/node-postgres';
+import * as schema from '../DB/schema.js';
+import 'dotenv/config';
 
-    import {neon } from "@neondatabase/serverless"
-    import { drizzle } from 'drizzle-orm/neon-http';
-    // import { Client } from 'pg';
-    import * as schema from '../DB/schema.js'; // Assuming your schema is in schema.ts
-    import 'dotenv/config';
+// Node 20 has no global WebSocket for the neon-ws driver
+neonConfig.webSocketConstructor = ws;
 
-    // const client = new Client({
-    //     connectionString: process.env.DATABASE_URL,
-    // });
-    // client.connect()
+const connectionString = process.env.DATABASE_URL;
 
-    const sql = neon(process.env.DATABASE_URL)
+// Queries are logged outside production unless DB_LOG_QUERIES says otherwise
+const logger = process.env.DB_LOG_QUERIES
+    ? process.env.DB_LOG_QUERIES === 'true'
+    : process.env.NODE_ENV !== 'production';
 
-    // export const db = drizzle(client, { schema, logger: true });
-    export const db = drizzle(sql, { schema, logger: true });
\ No newline at end of file
+const poolOptions = {
+    connectionString,
+    max: Number(process.env.DB_POOL_MAX) || 10,
+    idleTimeoutMillis: Number(process.env.DB_POOL_IDLE_TIMEOUT_MS) || 10000,
+    // Lets scripts exit once their queries are done instead of waiting for idle connections to close
+    allowExitOnIdle: true,
+    // Set on each pooled connection when it opens. A Neon HTTP request can't carry it, so with
+    // neon-http it only applies to exports and transactions, which use the node-postgres pool.
+    ...(process.env.DB_STATEMENT_TIMEOUT_MS && { statement_timeout: Number(process.env.DB_STATEMENT_TIMEOUT_MS) })
+};
+
+// DB_DRIVER picks how queries reach Postgres:
+// - neon-http: one HTTPS request per query, nothing to keep open (the default, suits Render)
+// - neon-ws: a pool of WebSocket connections to Neon
+// - pg: a node-postgres pool, for any Postgres server including a local one
+// Each returns the drizzle instance and its node-postgres pool, if it has one.
+const DB_DRIVERS = {
+    'neon-http': () => ({ db: drizzleNeonHttp(neon(connectionString), { schema, logger }) }),
+    'neon-ws': () => ({ db: drizzleNeonWs(new NeonPool(poolOptions), { schema, logger }) }),
+    pg: () => {
+        const pgPool = new pg.Pool(poolOptions);
+        return { db: drizzlePg(pgPool, { schema, logger }), pgPool };
+    }
+};
+
+const driverName = process.env.DB_DRIVER || 'neon-http';
+
+if (!Object.hasOwn(DB_DRIVERS, driverName)) {
+    throw new Error(`Unknown DB_DRIVER "${driverName}", expected one of: ${Object.keys(DB_DRIVERS).join(', ')}`);
+}
+
+const driver = DB_DRIVERS[driverName]();
+
+export const db = driver.db;
+
+// The Neon drivers buffer whole result sets, so large exports stream through a node-postgres
+// pool instead (see utils/streamQuery.js). Connections open lazily.
+export const pool = driver.pgPool ?? new pg.Pool(poolOptions);
+
+// The HTTP driver can't keep a transaction open between queries, so its transactions run on the pool
+const transactionDb = driverName === 'neon-http' ? drizzlePg(pool, { schema, logger }) : db;
+
+/**
+ * Runs callback(tx) in a transaction, tx offering the same query API as db. It commits when the
+ * callback resolves and rolls back when it throws (or calls tx.rollback()). Resolves to the
+ * callback's result.
+ *
+ * @param config - Optional isolation level and access mode, e.g. { isolationLevel: 'serializable' }
+ */
+export const transaction = (callback, config) => transactionDb.transaction(callback, config);
@@ -0,0 +1,1448 @@
+import {Router} from 'express';
+import { db } from '../config/db.js';
+import { salesData } from '../DB/schema.js';
+import { sql } from 'drizzle-orm';
+import { buildSalesConditions, parseDate, parseDateRange, whereClause, validateSalesFilters, isCancellation } from '../utils/salesFilters.js';
+import { segmentCaseSql } from '../utils/rfmSegments.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import { TimeseriesQuery, RfmQuery, RfmSegmentsQuery, CohortsQuery, BasketQuery, BasketPairsQuery, ReturnsQuery, CountriesQuery } from '../schemas/analytics.schemas.js';
+import { productCode, canonicalDescription } from '../utils/products.js';
+
+const router = Router();
+
+// Longest time series a request may ask for, empty buckets included
+const MAX_BUCKETS = 10000;
+
+// Bucket lengths for counting the buckets of a range, months taken as 30 days
+const BUCKET_SECONDS = { hour: 3600, day: 86400, week: 7 * 86400, month: 30 * 86400 };
+
+// Raw SQL needs an explicit predicate even when no filters are set
+const whereSql = (conditions) => whereClause(conditions) ?? sql`true`;
+
+// Timestamps are stored without a timezone and treated as UTC throughout the API
+const isoTimestamp = (column) => sql`to_char(${column}, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')`;
+
+/**
+ * @swagger
+ * /api/sales/analytics/timeseries:
+ *   get:
+ *     summary: Get revenue and volume over time
+ *     description: |
+ *       Aggregates sales into hourly, daily, weekly (starting Monday) or monthly buckets.
+ *       Buckets without sales are included with zero values. A series is limited to 10000 buckets,
+ *       from startDate to endDate or, when they are left out, the first and last matching sales.
+ *     tags: [Sales Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/TimeseriesQuery.granularity'
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/CustomerId'
+ *       - $ref: '#/components/parameters/HasCustomer'
+ *       - $ref: '#/components/parameters/StockCode'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - $ref: '#/components/parameters/MinQuantity'
+ *       - $ref: '#/components/parameters/MaxQuantity'
+ *       - $ref: '#/components/parameters/MinPrice'
+ *       - $ref: '#/components/parameters/MaxPrice'
+ *       - $ref: '#/components/parameters/MinLineTotal'
+ *       - $ref: '#/components/parameters/MaxLineTotal'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/Search'
+ *     responses:
+ *       200:
+ *         description: Time series of sales buckets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 granularity:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       bucket:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Start of the bucket
+ *                       revenue:
+ *                         type: number
+ *                       quantity:
+ *                         type: integer
+ *                       lines:
+ *                         type: integer
+ *                         description: Number of sales lines
+ *                       invoices:
+ *                         type: integer
+ *                         description: Number of distinct invoices
+ *       400:
+ *         description: Invalid parameters, or too many buckets in the range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+router.get('/timeseries', validateSalesFilters, validateRequest({ query: TimeseriesQuery }), async (req, res) => {
+    try {
+        const { granularity } = req.validated.query;
+
+        const conditions = buildSalesConditions(req.filters);
+        const unit = sql.raw(`'${granularity}'`);
+        const step = sql.raw(`interval '1 ${granularity}'`);
+
+        // The requested range wins over the data range, so leading/trailing empty buckets are kept
+        const { startDate, endDate, endBefore } = req.filters;
+        const rangeStart = startDate ? startDate.toISOString() : null;
+        // A date-only endDate is an exclusive bound at the next midnight, so its last bucket is the day itself
+        const lastInstant = endDate ?? (endBefore && new Date(endBefore.getTime() - 1));
+        const rangeEnd = lastInstant ? lastInstant.toISOString() : null;
+
+        const tooManyBuckets = () => res.status(400).json({
+            success: false,
+            message: `The range from startDate to endDate spans more than ${MAX_BUCKETS} ${granularity} buckets, narrow it or use a larger granularity`
+        });
+
+        if (startDate && lastInstant && (lastInstant - startDate) / 1000 / BUCKET_SECONDS[granularity] >= MAX_BUCKETS) {
+            return tooManyBuckets();
+        }
+
+        // Without both dates the range comes from the data, so the series is only generated when
+        // it is short enough
+        const result = await db.execute(sql`
+            with filtered as (
+                select invoice_no, invoice_date, quantity, unit_price
+                from ${salesData}
+                where ${whereSql(conditions)}
+            ),
+            data_range as (
+                select date_trunc(${unit}, coalesce(${rangeStart}::timestamp, min(invoice_date))) as first_bucket,
+                       date_trunc(${unit}, coalesce(${rangeEnd}::timestamp, max(invoice_date))) as last_bucket
+                from filtered
+            ),
+            bounds as (
+                select *, floor(extract(epoch from last_bucket - first_bucket) / ${BUCKET_SECONDS[granularity]})::integer + 1 as bucket_count
+                from data_range
+            ),
+            buckets as (
+                select generate_series(first_bucket, last_bucket, ${step}) as bucket
+                from bounds
+                where bucket_count <= ${MAX_BUCKETS}
+            ),
+            totals as (
+                select date_trunc(${unit}, invoice_date) as bucket,
+                       sum(quantity * unit_price) as revenue,
+                       sum(quantity) as quantity,
+                       count(*) as lines,
+                       count(distinct invoice_no) as invoices
+                from filtered
+                group by 1
+            )
+            select bounds.bucket_count,
+                   ${isoTimestamp(sql`b.bucket`)} as bucket,
+                   coalesce(t.revenue, 0) as revenue,
+                   coalesce(t.quantity, 0) as quantity,
+                   coalesce(t.lines, 0) as lines,
+                   coalesce(t.invoices, 0) as invoices
+            from bounds
+            left join buckets b on true
+            left join totals t on t.bucket = b.bucket
+            order by b.bucket
+        `);
+
+        // bounds always has a row, with no bucket when the series is empty or too long
+        if (result.rows[0].bucket_count > MAX_BUCKETS) {
+            return tooManyBuckets();
+        }
+
+        res.json({
+            success: true,
+            granularity,
+            data: result.rows.filter((row) => row.bucket !== null).map(row => ({
+                bucket: row.bucket,
+                revenue: parseFloat(row.revenue),
+                quantity: parseInt(row.quantity),
+                lines: parseInt(row.lines),
+                invoices: parseInt(row.invoices)
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching sales time series:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch sales time series',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Resolves the RFM reference date: the requested one, or the day after the last invoice in range.
+ * Returns `{ reference }`, null when no sales match the filters, or `{ error }` when the requested
+ * date is invalid.
+ */
+const resolveReferenceDate = async (conditions, referenceDate) => {
+    if (referenceDate !== undefined) {
+        const { value, error } = parseDate('referenceDate', referenceDate);
+        return error ? { error } : { reference: value.toISOString() };
+    }
+
+    const result = await db.execute(sql`
+        select ${isoTimestamp(sql`date_trunc('day', max(invoice_date)) + interval '1 day'`)} as reference_date
+        from ${salesData}
+        where ${whereSql(conditions)}
+    `);
+
+    return { reference: result.rows[0]?.reference_date ?? null };
+};
+
+/**
+ * Per-customer RFM scores as of the reference date. Scores are quintiles (1-5) computed with
+ * cume_dist, so customers with identical values always get the same score.
+ */
+const rfmCustomersSql = (conditions, referenceDate) => sql`
+    with customers as (
+        select customer_id,
+               max(invoice_date) as last_purchase,
+               count(distinct invoice_no) as frequency,
+               sum(quantity * unit_price) as monetary
+        from ${salesData}
+        where ${whereSql(conditions)}
+          and customer_id is not null
+          and invoice_date < ${referenceDate}::timestamp
+        group by customer_id
+    ),
+    scored as (
+        select *,
+               floor(extract(epoch from (${referenceDate}::timestamp - last_purchase)) / 86400)::int as recency_days,
+               ceil(cume_dist() over (order by last_purchase) * 5)::int as r_score,
+               ceil(cume_dist() over (order by frequency) * 5)::int as f_score,
+               ceil(cume_dist() over (order by monetary) * 5)::int as m_score
+        from customers
+    )
+    select *, ${segmentCaseSql(sql`r_score`, sql`f_score`)} as segment
+    from scored
+`;
+
+/**
+ * Lines without a customerId can't be scored; report what was left out so totals reconcile.
+ */
+const rfmExcluded = async (conditions, referenceDate) => {
+    const result = await db.execute(sql`
+        select count(*) as lines,
+               count(distinct invoice_no) as invoices,
+               coalesce(sum(quantity * unit_price), 0) as revenue
+        from ${salesData}
+        where ${whereSql(conditions)}
+          and customer_id is null
+          and invoice_date < ${referenceDate}::timestamp
+    `);
+
+    const row = result.rows[0];
+
+    return {
+        lines: parseInt(row.lines),
+        invoices: parseInt(row.invoices),
+        revenue: parseFloat(row.revenue)
+    };
+};
+
+/**
+ * @swagger
+ * /api/sales/analytics/rfm:
+ *   get:
+ *     summary: Get RFM (Recency, Frequency, Monetary) scores per customer
+ *     description: |
+ *       Scores every customer 1-5 on recency, frequency and monetary value relative to the
+ *       reference date, using quintiles across all customers in range, and assigns a named segment
+ *       from the recency and frequency scores. Lines without a customerId are excluded and
+ *       summarised under `excluded`.
+ *     tags: [Sales Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/RfmQuery.referenceDate'
+ *       - $ref: '#/components/parameters/RfmQuery.segment'
+ *       - $ref: '#/components/parameters/RfmQuery.page'
+ *       - $ref: '#/components/parameters/RfmQuery.limit'
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/CustomerId'
+ *       - $ref: '#/components/parameters/HasCustomer'
+ *       - $ref: '#/components/parameters/StockCode'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - $ref: '#/components/parameters/MinQuantity'
+ *       - $ref: '#/components/parameters/MaxQuantity'
+ *       - $ref: '#/components/parameters/MinPrice'
+ *       - $ref: '#/components/parameters/MaxPrice'
+ *       - $ref: '#/components/parameters/MinLineTotal'
+ *       - $ref: '#/components/parameters/MaxLineTotal'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/Search'
+ *     responses:
+ *       200:
+ *         description: Customers with RFM scores, ordered by monetary value
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 referenceDate:
+ *                   type: string
+ *                   format: date-time
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       customerId:
+ *                         type: integer
+ *                       lastPurchase:
+ *                         type: string
+ *                         format: date-time
+ *                       recencyDays:
+ *                         type: integer
+ *                       frequency:
+ *                         type: integer
+ *                         description: Number of distinct invoices
+ *                       monetary:
+ *                         type: number
+ *                       scores:
+ *                         type: object
+ *                         properties:
+ *                           recency:
+ *                             type: integer
+ *                           frequency:
+ *                             type: integer
+ *                           monetary:
+ *                             type: integer
+ *                       rfmScore:
+ *                         type: string
+ *                         example: "545"
+ *                       segment:
+ *                         type: string
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                 excluded:
+ *                   $ref: '#/components/schemas/RfmExcluded'
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+router.get('/rfm', validateSalesFilters, validateRequest({ query: RfmQuery }), async (req, res) => {
+    try {
+        const { referenceDate, segment, page, limit } = req.validated.query;
+
+        const limitNum = Math.min(1000, limit);
+        const offset = (page - 1) * limitNum;
+
+        const conditions = buildSalesConditions(req.filters);
+        const { reference, error } = await resolveReferenceDate(conditions, referenceDate);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        if (!reference) {
+            return res.json({
+                success: true,
+                referenceDate: null,
+                data: [],
+                pagination: { page, limit: limitNum, total: 0, totalPages: 0 },
+                excluded: { lines: 0, invoices: 0, revenue: 0 }
+            });
+        }
+
+        const [result, excluded] = await Promise.all([
+            db.execute(sql`
+                with rfm as (${rfmCustomersSql(conditions, reference)}),
+                matching as (
+                    select * from rfm
+                    where ${segment ? sql`segment = ${segment}` : sql`true`}
+                )
+                -- The total row is always returned, even when the page itself is past the end
+                select totals.total, page.*
+                from (select count(*) as total from matching) totals
+                left join lateral (
+                    select customer_id, ${isoTimestamp(sql`last_purchase`)} as last_purchase,
+                           recency_days, frequency, monetary, r_score, f_score, m_score, segment
+                    from matching
+                    order by monetary desc, customer_id
+                    limit ${limitNum} offset ${offset}
+                ) page on true
+            `),
+            rfmExcluded(conditions, reference)
+        ]);
+
+        const total = parseInt(result.rows[0].total);
+        const customers = result.rows.filter(row => row.customer_id !== null);
+
+        res.json({
+            success: true,
+            referenceDate: reference,
+            data: customers.map(row => ({
+                customerId: row.customer_id,
+                lastPurchase: row.last_purchase,
+                recencyDays: row.recency_days,
+                frequency: parseInt(row.frequency),
+                monetary: parseFloat(row.monetary),
+                scores: {
+                    recency: row.r_score,
+                    frequency: row.f_score,
+                    monetary: row.m_score
+                },
+                rfmScore: `${row.r_score}${row.f_score}${row.m_score}`,
+                segment: row.segment
+            })),
+            pagination: {
+                page,
+                limit: limitNum,
+                total,
+                totalPages: Math.ceil(total / limitNum)
+            },
+            excluded
+        });
+    } catch (error) {
+        console.error('Error fetching RFM analysis:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch RFM analysis',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/sales/analytics/rfm/segments:
+ *   get:
+ *     summary: Get customer counts and revenue per RFM segment
+ *     tags: [Sales Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/RfmSegmentsQuery.referenceDate'
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/CustomerId'
+ *       - $ref: '#/components/parameters/HasCustomer'
+ *       - $ref: '#/components/parameters/StockCode'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - $ref: '#/components/parameters/MinQuantity'
+ *       - $ref: '#/components/parameters/MaxQuantity'
+ *       - $ref: '#/components/parameters/MinPrice'
+ *       - $ref: '#/components/parameters/MaxPrice'
+ *       - $ref: '#/components/parameters/MinLineTotal'
+ *       - $ref: '#/components/parameters/MaxLineTotal'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/Search'
+ *     responses:
+ *       200:
+ *         description: Segment summary, ordered by revenue
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 referenceDate:
+ *                   type: string
+ *                   format: date-time
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       segment:
+ *                         type: string
+ *                       customers:
+ *                         type: integer
+ *                       revenue:
+ *                         type: number
+ *                       customerShare:
+ *                         type: number
+ *                         description: Percentage of scored customers
+ *                       revenueShare:
+ *                         type: number
+ *                         description: Percentage of scored revenue
+ *                       averageRecencyDays:
+ *                         type: number
+ *                       averageFrequency:
+ *                         type: number
+ *                       averageMonetary:
+ *                         type: number
+ *                 excluded:
+ *                   $ref: '#/components/schemas/RfmExcluded'
+ *       400:
+ *         description: Invalid referenceDate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+router.get('/rfm/segments', validateSalesFilters, validateRequest({ query: RfmSegmentsQuery }), async (req, res) => {
+    try {
+        const { referenceDate } = req.validated.query;
+
+        const conditions = buildSalesConditions(req.filters);
+        const { reference, error } = await resolveReferenceDate(conditions, referenceDate);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        if (!reference) {
+            return res.json({
+                success: true,
+                referenceDate: null,
+                data: [],
+                excluded: { lines: 0, invoices: 0, revenue: 0 }
+            });
+        }
+
+        const [result, excluded] = await Promise.all([
+            db.execute(sql`
+                with rfm as (${rfmCustomersSql(conditions, reference)})
+                select segment,
+                       count(*) as customers,
+                       sum(monetary) as revenue,
+                       count(*) * 100.0 / sum(count(*)) over () as customer_share,
+                       sum(monetary) * 100.0 / nullif(sum(sum(monetary)) over (), 0) as revenue_share,
+                       avg(recency_days) as average_recency_days,
+                       avg(frequency) as average_frequency,
+                       avg(monetary) as average_monetary
+                from rfm
+                group by segment
+                order by revenue desc
+            `),
+            rfmExcluded(conditions, reference)
+        ]);
+
+        res.json({
+            success: true,
+            referenceDate: reference,
+            data: result.rows.map(row => ({
+                segment: row.segment,
+                customers: parseInt(row.customers),
+                revenue: parseFloat(row.revenue),
+                customerShare: parseFloat(row.customer_share),
+                revenueShare: parseFloat(row.revenue_share || 0),
+                averageRecencyDays: parseFloat(row.average_recency_days),
+                averageFrequency: parseFloat(row.average_frequency),
+                averageMonetary: parseFloat(row.average_monetary)
+            })),
+            excluded
+        });
+    } catch (error) {
+        console.error('Error fetching RFM segments:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch RFM segments',
+            error: error.message
+        });
+    }
+});
+
+// Month index used to work out offsets between 'YYYY-MM' cohort labels
+const monthIndex = (label) => {
+    const [year, month] = label.split('-').map(Number);
+    return year * 12 + (month - 1);
+};
+
+const percentOf = (value, base) => (base ? Math.round((value / base) * 10000) / 100 : 0);
+
+/**
+ * @swagger
+ * /api/sales/analytics/cohorts:
+ *   get:
+ *     summary: Get monthly cohort retention
+ *     description: |
+ *       Groups customers by the month of their first invoice within the filtered data, then counts
+ *       how many of them were active, and how much they spent, in each following month.
+ *       Index 0 of each series is the cohort month itself. In percentage mode customers are
+ *       expressed relative to the cohort size and revenue relative to the cohort's first month.
+ *       Lines without a customerId are ignored.
+ *     tags: [Sales Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CohortsQuery.mode'
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/CustomerId'
+ *       - $ref: '#/components/parameters/HasCustomer'
+ *       - $ref: '#/components/parameters/StockCode'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - $ref: '#/components/parameters/MinQuantity'
+ *       - $ref: '#/components/parameters/MaxQuantity'
+ *       - $ref: '#/components/parameters/MinPrice'
+ *       - $ref: '#/components/parameters/MaxPrice'
+ *       - $ref: '#/components/parameters/MinLineTotal'
+ *       - $ref: '#/components/parameters/MaxLineTotal'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/Search'
+ *     responses:
+ *       200:
+ *         description: Retention matrix, one row per cohort
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 mode:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       cohort:
+ *                         type: string
+ *                         example: "2010-12"
+ *                       size:
+ *                         type: integer
+ *                         description: Number of customers in the cohort
+ *                       customers:
+ *                         type: array
+ *                         items:
+ *                           type: number
+ *                         description: Active customers per month offset
+ *                       revenue:
+ *                         type: array
+ *                         items:
+ *                           type: number
+ *                         description: Revenue per month offset
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+router.get('/cohorts', validateSalesFilters, validateRequest({ query: CohortsQuery }), async (req, res) => {
+    try {
+        const { mode } = req.validated.query;
+
+        const conditions = buildSalesConditions(req.filters);
+
+        const result = await db.execute(sql`
+            with lines as (
+                select customer_id,
+                       date_trunc('month', invoice_date) as month,
+                       quantity * unit_price as revenue
+                from ${salesData}
+                where ${whereSql(conditions)}
+                  and customer_id is not null
+            ),
+            firsts as (
+                select customer_id, min(month) as cohort
+                from lines
+                group by customer_id
+            )
+            select to_char(f.cohort, 'YYYY-MM') as cohort,
+                   to_char(l.month, 'YYYY-MM') as month,
+                   count(distinct l.customer_id) as customers,
+                   sum(l.revenue) as revenue,
+                   (select to_char(max(month), 'YYYY-MM') from lines) as last_month
+            from lines l
+            join firsts f on f.customer_id = l.customer_id
+            group by f.cohort, l.month
+            order by f.cohort, l.month
+        `);
+
+        // Every cohort gets a slot for each month up to the last month with data, zero when inactive
+        const lastMonth = result.rows.length > 0 ? monthIndex(result.rows[0].last_month) : 0;
+        const cohorts = new Map();
+
+        for (const row of result.rows) {
+            if (!cohorts.has(row.cohort)) {
+                const length = lastMonth - monthIndex(row.cohort) + 1;
+                cohorts.set(row.cohort, {
+                    customers: new Array(length).fill(0),
+                    revenue: new Array(length).fill(0)
+                });
+            }
+
+            const offset = monthIndex(row.month) - monthIndex(row.cohort);
+            const cohort = cohorts.get(row.cohort);
+            cohort.customers[offset] = parseInt(row.customers);
+            cohort.revenue[offset] = parseFloat(row.revenue);
+        }
+
+        const data = [...cohorts].map(([cohort, { customers, revenue }]) => {
+            const size = customers[0];
+
+            if (mode === 'percentage') {
+                return {
+                    cohort,
+                    size,
+                    customers: customers.map(value => percentOf(value, size)),
+                    revenue: revenue.map(value => percentOf(value, revenue[0]))
+                };
+            }
+
+            return { cohort, size, customers, revenue };
+        });
+
+        res.json({
+            success: true,
+            mode,
+            data
+        });
+    } catch (error) {
+        console.error('Error fetching cohort analysis:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch cohort analysis',
+            error: error.message
+        });
+    }
+});
+
+const BASKET_SORT_FIELDS = {
+    support: sql`support`,
+    confidence: sql`confidence`,
+    lift: sql`lift`
+};
+
+/**
+ * Shared CTEs for market basket analysis: each invoice is a basket of distinct stock codes.
+ * Only purchase lines count, so cancellations and other negative lines don't create pairs.
+ * Stock code variants are reconciled, so a basket never pairs a product with itself.
+ */
+const basketCtes = (conditions) => sql`
+    baskets as (
+        select distinct invoice_no, ${productCode} as stock_code
+        from ${salesData}
+        where ${whereSql(conditions)}
+          and quantity > 0
+    ),
+    basket_count as (
+        select count(distinct invoice_no) as n from baskets
+    ),
+    item_counts as (
+        select stock_code, count(*) as baskets from baskets group by stock_code
+    ),
+    descriptions as (
+        select ${productCode} as stock_code, ${canonicalDescription} as description
+        from ${salesData}
+        where ${whereSql(conditions)}
+        group by 1
+    )
+`;
+
+/**
+ * @swagger
+ * /api/sales/analytics/basket:
+ *   get:
+ *     summary: Get products frequently bought together with a product
+ *     description: |
+ *       Treats every invoice as a basket and returns the products that appear in the same baskets
+ *       as `stockCode`, with association rule metrics for "stockCode → product":
+ *       support (share of all baskets containing both), confidence (share of baskets with
+ *       stockCode that also contain the product) and lift (confidence relative to the product's
+ *       overall popularity; above 1 means they sell together more often than by chance).
+ *     tags: [Sales Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: stockCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product to find companions for
+ *       - $ref: '#/components/parameters/BasketQuery.limit'
+ *       - $ref: '#/components/parameters/BasketQuery.minSupport'
+ *       - $ref: '#/components/parameters/BasketQuery.sortBy'
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/CustomerId'
+ *       - $ref: '#/components/parameters/HasCustomer'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - $ref: '#/components/parameters/MinQuantity'
+ *       - $ref: '#/components/parameters/MaxQuantity'
+ *       - $ref: '#/components/parameters/MinPrice'
+ *       - $ref: '#/components/parameters/MaxPrice'
+ *       - $ref: '#/components/parameters/MinLineTotal'
+ *       - $ref: '#/components/parameters/MaxLineTotal'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/Search'
+ *     responses:
+ *       200:
+ *         description: Products bought together with the given product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 product:
+ *                   type: object
+ *                   properties:
+ *                     stockCode:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *                     baskets:
+ *                       type: integer
+ *                     support:
+ *                       type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       stockCode:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       baskets:
+ *                         type: integer
+ *                         description: Baskets containing both products
+ *                       support:
+ *                         type: number
+ *                       confidence:
+ *                         type: number
+ *                       lift:
+ *                         type: number
+ *       400:
+ *         description: Missing stockCode or invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+router.get('/basket', validateSalesFilters, validateRequest({ query: BasketQuery }), async (req, res) => {
+    try {
+        const { limit, minSupport, sortBy } = req.validated.query;
+        // stockCode names the anchor product here, so it doesn't filter the baskets
+        const { stockCode, stockCodePrefix, ...filters } = req.filters;
+
+        if (!stockCode || stockCodePrefix) {
+            return res.status(400).json({
+                success: false,
+                message: 'stockCode is required and must be a single stock code'
+            });
+        }
+
+        const limitNum = Math.min(100, limit);
+        const conditions = buildSalesConditions(filters);
+
+        const result = await db.execute(sql`
+            with ${basketCtes(conditions)},
+            anchor as (
+                select invoice_no from baskets where stock_code = ${stockCode}
+            ),
+            together as (
+                select b.stock_code, count(*) as baskets
+                from baskets b
+                join anchor a on a.invoice_no = b.invoice_no
+                where b.stock_code <> ${stockCode}
+                group by b.stock_code
+            ),
+            rules as (
+                select t.stock_code,
+                       t.baskets,
+                       t.baskets::numeric / bc.n as support,
+                       t.baskets::numeric / (select count(*) from anchor) as confidence,
+                       (t.baskets::numeric / (select count(*) from anchor)) / (ic.baskets::numeric / bc.n) as lift
+                from together t
+                join item_counts ic on ic.stock_code = t.stock_code
+                cross join basket_count bc
+            )
+            select r.*, d.description,
+                   (select count(*) from anchor) as anchor_baskets,
+                   (select n from basket_count) as total_baskets,
+                   (select description from descriptions where stock_code = ${stockCode}) as anchor_description
+            from (select 1) one
+            left join rules r on r.support >= ${minSupport}::numeric
+            left join descriptions d on d.stock_code = r.stock_code
+            order by ${BASKET_SORT_FIELDS[sortBy]} desc nulls last, r.baskets desc, r.stock_code
+            limit ${limitNum}
+        `);
+
+        // The leading row is always present so the product summary is available with no matches
+        const [first] = result.rows;
+        const anchorBaskets = parseInt(first.anchor_baskets);
+        const totalBaskets = parseInt(first.total_baskets);
+
+        res.json({
+            success: true,
+            product: {
+                stockCode,
+                description: first.anchor_description ?? null,
+                baskets: anchorBaskets,
+                support: totalBaskets ? anchorBaskets / totalBaskets : 0
+            },
+            data: result.rows
+                .filter(row => row.stock_code !== null)
+                .map(row => ({
+                    stockCode: row.stock_code,
+                    description: row.description,
+                    baskets: parseInt(row.baskets),
+                    support: parseFloat(row.support),
+                    confidence: parseFloat(row.confidence),
+                    lift: parseFloat(row.lift)
+                }))
+        });
+    } catch (error) {
+        console.error('Error fetching basket analysis:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch basket analysis',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/sales/analytics/basket/pairs:
+ *   get:
+ *     summary: Get the product pairs most often bought together
+ *     description: |
+ *       Returns product pairs ranked by support (share of all baskets containing both),
+ *       with the confidence of the rule in each direction and the pair's lift.
+ *     tags: [Sales Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BasketPairsQuery.limit'
+ *       - $ref: '#/components/parameters/BasketPairsQuery.minSupport'
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/CustomerId'
+ *       - $ref: '#/components/parameters/HasCustomer'
+ *       - $ref: '#/components/parameters/StockCode'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - $ref: '#/components/parameters/MinQuantity'
+ *       - $ref: '#/components/parameters/MaxQuantity'
+ *       - $ref: '#/components/parameters/MinPrice'
+ *       - $ref: '#/components/parameters/MaxPrice'
+ *       - $ref: '#/components/parameters/MinLineTotal'
+ *       - $ref: '#/components/parameters/MaxLineTotal'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/Search'
+ *     responses:
+ *       200:
+ *         description: Product pairs ranked by support
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       products:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             stockCode:
+ *                               type: string
+ *                             description:
+ *                               type: string
+ *                       baskets:
+ *                         type: integer
+ *                       support:
+ *                         type: number
+ *                       confidence:
+ *                         type: array
+ *                         items:
+ *                           type: number
+ *                         description: Confidence of first → second and second → first
+ *                       lift:
+ *                         type: number
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+router.get('/basket/pairs', validateSalesFilters, validateRequest({ query: BasketPairsQuery }), async (req, res) => {
+    try {
+        const { limit, minSupport } = req.validated.query;
+
+        const limitNum = Math.min(100, limit);
+        const conditions = buildSalesConditions(req.filters);
+
+        const result = await db.execute(sql`
+            with ${basketCtes(conditions)},
+            pairs as (
+                select a.stock_code as item_a, b.stock_code as item_b, count(*) as baskets
+                from baskets a
+                join baskets b on b.invoice_no = a.invoice_no and a.stock_code < b.stock_code
+                group by a.stock_code, b.stock_code
+                having count(*) >= greatest(1, (select ceil(${minSupport}::numeric * n) from basket_count))
+            )
+            select p.item_a, da.description as description_a,
+                   p.item_b, db.description as description_b,
+                   p.baskets,
+                   p.baskets::numeric / bc.n as support,
+                   p.baskets::numeric / ca.baskets as confidence_a_b,
+                   p.baskets::numeric / cb.baskets as confidence_b_a,
+                   p.baskets::numeric * bc.n / (ca.baskets * cb.baskets) as lift
+            from pairs p
+            cross join basket_count bc
+            join item_counts ca on ca.stock_code = p.item_a
+            join item_counts cb on cb.stock_code = p.item_b
+            left join descriptions da on da.stock_code = p.item_a
+            left join descriptions db on db.stock_code = p.item_b
+            order by p.baskets desc, p.item_a, p.item_b
+            limit ${limitNum}
+        `);
+
+        res.json({
+            success: true,
+            data: result.rows.map(row => ({
+                products: [
+                    { stockCode: row.item_a, description: row.description_a },
+                    { stockCode: row.item_b, description: row.description_b }
+                ],
+                baskets: parseInt(row.baskets),
+                support: parseFloat(row.support),
+                confidence: [parseFloat(row.confidence_a_b), parseFloat(row.confidence_b_a)],
+                lift: parseFloat(row.lift)
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching basket pairs:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch basket pairs',
+            error: error.message
+        });
+    }
+});
+
+// Dimensions the returns report can be grouped by: the group key, its label and any extra filter
+const RETURN_GROUPS = {
+    product: { key: productCode, label: canonicalDescription, filter: sql`true` },
+    customer: { key: sql`customer_id::text`, label: sql`max(country)`, filter: sql`customer_id is not null` },
+    country: { key: sql`country`, label: sql`country`, filter: sql`true` }
+};
+
+const RETURN_SORT_FIELDS = {
+    returnedValue: sql`returned_value`,
+    returnedQuantity: sql`returned_quantity`,
+    returnRate: sql`returned_quantity::numeric / nullif(sold_quantity, 0)`
+};
+
+const returnRate = (returned, sold) => (sold > 0 ? returned / sold : null);
+
+/**
+ * @swagger
+ * /api/sales/analytics/returns:
+ *   get:
+ *     summary: Get return rates by product, customer or country
+ *     description: |
+ *       Compares cancelled lines (invoices numbered with a "C" prefix) against sales for each group.
+ *       The return rate is returned quantity divided by sold quantity. Only groups with at least
+ *       one return are listed; `totals` covers everything in range.
+ *     tags: [Sales Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReturnsQuery.groupBy'
+ *       - $ref: '#/components/parameters/ReturnsQuery.sortBy'
+ *       - $ref: '#/components/parameters/ReturnsQuery.limit'
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/CustomerId'
+ *       - $ref: '#/components/parameters/HasCustomer'
+ *       - $ref: '#/components/parameters/StockCode'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - $ref: '#/components/parameters/MinQuantity'
+ *       - $ref: '#/components/parameters/MaxQuantity'
+ *       - $ref: '#/components/parameters/MinPrice'
+ *       - $ref: '#/components/parameters/MaxPrice'
+ *       - $ref: '#/components/parameters/MinLineTotal'
+ *       - $ref: '#/components/parameters/MaxLineTotal'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/Search'
+ *     responses:
+ *       200:
+ *         description: Return statistics per group
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 groupBy:
+ *                   type: string
+ *                 totals:
+ *                   $ref: '#/components/schemas/ReturnStats'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - type: object
+ *                         properties:
+ *                           key:
+ *                             type: string
+ *                             description: Stock code, customer ID or country
+ *                           label:
+ *                             type: string
+ *                             description: Product description, customer's country or country
+ *                       - $ref: '#/components/schemas/ReturnStats'
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+router.get('/returns', validateSalesFilters, validateRequest({ query: ReturnsQuery }), async (req, res) => {
+    try {
+        const { groupBy, sortBy, limit } = req.validated.query;
+
+        const limitNum = Math.min(100, limit);
+        const conditions = buildSalesConditions(req.filters);
+        const group = RETURN_GROUPS[groupBy];
+
+        const stats = sql`
+            sum(case when not ${isCancellation} and quantity > 0 then quantity else 0 end) as sold_quantity,
+            sum(case when ${isCancellation} then -quantity else 0 end) as returned_quantity,
+            sum(case when not ${isCancellation} and quantity > 0 then quantity * unit_price else 0 end) as sold_value,
+            sum(case when ${isCancellation} then -quantity * unit_price else 0 end) as returned_value,
+            count(*) filter (where ${isCancellation}) as return_lines,
+            count(distinct invoice_no) filter (where ${isCancellation}) as return_invoices
+        `;
+
+        const [groups, totals] = await Promise.all([
+            db.execute(sql`
+                with grouped as (
+                    select ${group.key} as key, ${group.label} as label, ${stats}
+                    from ${salesData}
+                    where ${whereSql(conditions)} and ${group.filter}
+                    group by 1
+                )
+                select * from grouped
+                where return_lines > 0
+                order by ${RETURN_SORT_FIELDS[sortBy]} desc nulls last, key
+                limit ${limitNum}
+            `),
+            db.execute(sql`
+                select ${stats}
+                from ${salesData}
+                where ${whereSql(conditions)}
+            `)
+        ]);
+
+        const formatStats = (row) => {
+            const soldQuantity = parseInt(row.sold_quantity || 0);
+            const returnedQuantity = parseInt(row.returned_quantity || 0);
+
+            return {
+                soldQuantity,
+                returnedQuantity,
+                returnRate: returnRate(returnedQuantity, soldQuantity),
+                soldValue: parseFloat(row.sold_value || 0),
+                returnedValue: parseFloat(row.returned_value || 0),
+                returnLines: parseInt(row.return_lines),
+                returnInvoices: parseInt(row.return_invoices)
+            };
+        };
+
+        res.json({
+            success: true,
+            groupBy,
+            totals: formatStats(totals.rows[0]),
+            data: groups.rows.map(row => ({
+                key: row.key,
+                label: row.label,
+                ...formatStats(row)
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching returns analytics:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch returns analytics',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Revenue, quantity, invoices and customers per country for the given conditions.
+ */
+const countryStats = async (conditions) => {
+    const result = await db.execute(sql`
+        select country,
+               coalesce(sum(quantity * unit_price), 0) as revenue,
+               coalesce(sum(quantity), 0) as quantity,
+               count(distinct invoice_no) as invoices,
+               count(distinct customer_id) as customers
+        from ${salesData}
+        where ${whereSql(conditions)}
+        group by country
+    `);
+
+    return result.rows.map(row => ({
+        country: row.country,
+        revenue: parseFloat(row.revenue),
+        quantity: parseInt(row.quantity),
+        invoices: parseInt(row.invoices),
+        customers: parseInt(row.customers)
+    }));
+};
+
+const growth = (current, previous) => (previous ? (current - previous) / Math.abs(previous) : null);
+
+/**
+ * @swagger
+ * /api/sales/analytics/countries:
+ *   get:
+ *     summary: Get sales per country ranked by revenue
+ *     description: |
+ *       Every country in range is listed with its share of total revenue. When a comparison
+ *       period is given, each country also gets its figures for that period and the growth
+ *       from it (as a ratio, e.g. 0.25 for +25%). Growth is null when the comparison value is 0.
+ *     tags: [Sales Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/CustomerId'
+ *       - $ref: '#/components/parameters/HasCustomer'
+ *       - $ref: '#/components/parameters/StockCode'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - $ref: '#/components/parameters/MinQuantity'
+ *       - $ref: '#/components/parameters/MaxQuantity'
+ *       - $ref: '#/components/parameters/MinPrice'
+ *       - $ref: '#/components/parameters/MaxPrice'
+ *       - $ref: '#/components/parameters/MinLineTotal'
+ *       - $ref: '#/components/parameters/MaxLineTotal'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/Search'
+ *       - $ref: '#/components/parameters/CountriesQuery.compareStartDate'
+ *       - $ref: '#/components/parameters/CountriesQuery.compareEndDate'
+ *     responses:
+ *       200:
+ *         description: Sales per country
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     revenue:
+ *                       type: number
+ *                     quantity:
+ *                       type: integer
+ *                     invoices:
+ *                       type: integer
+ *                     customers:
+ *                       type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rank:
+ *                         type: integer
+ *                       country:
+ *                         type: string
+ *                       revenue:
+ *                         type: number
+ *                       quantity:
+ *                         type: integer
+ *                       invoices:
+ *                         type: integer
+ *                       customers:
+ *                         type: integer
+ *                       averageOrderValue:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Revenue / invoices
+ *                       share:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Share of total revenue (0-1)
+ *                       comparison:
+ *                         type: object
+ *                         description: Only present when a comparison period is given
+ *                         properties:
+ *                           revenue:
+ *                             type: number
+ *                           quantity:
+ *                             type: integer
+ *                           invoices:
+ *                             type: integer
+ *                           customers:
+ *                             type: integer
+ *                           revenueGrowth:
+ *                             type: number
+ *                             nullable: true
+ *                           quantityGrowth:
+ *                             type: number
+ *                             nullable: true
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+router.get('/countries', validateSalesFilters, validateRequest({ query: CountriesQuery }), async (req, res) => {
+    try {
+        const { compareStartDate, compareEndDate } = req.validated.query;
+        const comparing = compareStartDate !== undefined;
+
+        const { range, error } = parseDateRange(compareStartDate, compareEndDate, 'compareStartDate', 'compareEndDate');
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        // The comparison period keeps every filter except the dates
+        const { startDate, endDate, endBefore, ...otherFilters } = req.filters;
+        const conditions = buildSalesConditions(req.filters);
+        const compareConditions = buildSalesConditions({ ...otherFilters, ...range });
+
+        const [current, previous, customerCount] = await Promise.all([
+            countryStats(conditions),
+            comparing ? countryStats(compareConditions) : [],
+            // Customers can buy in several countries, so their total is counted separately
+            db.execute(sql`
+                select count(distinct customer_id) as customers
+                from ${salesData}
+                where ${whereSql(conditions)}
+            `)
+        ]);
+
+        const totals = current.reduce((sums, row) => ({
+            revenue: sums.revenue + row.revenue,
+            quantity: sums.quantity + row.quantity,
+            invoices: sums.invoices + row.invoices
+        }), { revenue: 0, quantity: 0, invoices: 0 });
+
+        totals.revenue = Math.round(totals.revenue * 100) / 100;
+        totals.customers = parseInt(customerCount.rows[0].customers);
+
+        const previousByCountry = new Map(previous.map(row => [row.country, row]));
+
+        const data = current
+            .sort((a, b) => b.revenue - a.revenue || a.country.localeCompare(b.country))
+            .map((row, index) => {
+                const country = {
+                    rank: index + 1,
+                    ...row,
+                    averageOrderValue: row.invoices > 0 ? row.revenue / row.invoices : null,
+                    share: totals.revenue ? row.revenue / totals.revenue : null
+                };
+
+                if (comparing) {
+                    const before = previousByCountry.get(row.country) ?? { revenue: 0, quantity: 0, invoices: 0, customers: 0 };
+
+                    country.comparison = {
+                        revenue: before.revenue,
+                        quantity: before.quantity,
+                        invoices: before.invoices,
+                        customers: before.customers,
+                        revenueGrowth: growth(row.revenue, before.revenue),
+                        quantityGrowth: growth(row.quantity, before.quantity)
+                    };
+                }
+
+                return country;
+            });
+
+        res.json({
+            success: true,
+            totals,
+            data
+        });
+    } catch (error) {
+        console.error('Error fetching country analytics:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch country analytics',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RfmExcluded:
+ *       type: object
+ *       description: Sales lines without a customerId, which are left out of the RFM analysis
+ *       properties:
+ *         lines:
+ *           type: integer
+ *         invoices:
+ *           type: integer
+ *         revenue:
+ *           type: number
+ *     ReturnStats:
+ *       type: object
+ *       properties:
+ *         soldQuantity:
+ *           type: integer
+ *         returnedQuantity:
+ *           type: integer
+ *         returnRate:
+ *           type: number
+ *           nullable: true
+ *           description: Returned quantity / sold quantity (null when nothing was sold)
+ *         soldValue:
+ *           type: number
+ *         returnedValue:
+ *           type: number
+ *         returnLines:
+ *           type: integer
+ *         returnInvoices:
+ *           type: integer
+ */
+
+export {router as analyticsRouter};
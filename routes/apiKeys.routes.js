@@ -0,0 +1,182 @@
+import {Router} from 'express';
+import { createApiKey, listApiKeys, revokeApiKey, requireRole } from '../utils/apiKeys.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import { ApiKeyInput, ApiKeyParams } from '../schemas/apiKeys.schemas.js';
+
+const router = Router();
+
+// Managing keys needs an admin key, whatever the method
+router.use(requireRole('admin'));
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   get:
+ *     summary: List API keys, including revoked ones
+ *     description: Needs an admin key. Keys are stored hashed, so only their prefix is returned.
+ *     tags: [API Keys]
+ *     responses:
+ *       200:
+ *         description: List of API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       500:
+ *         description: Server error
+ */
+router.get('/', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await listApiKeys()
+        });
+    } catch (error) {
+        console.error('Error fetching API keys:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch API keys',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: |
+ *       Needs an admin key. The new key is returned in `key` and cannot be retrieved again,
+ *       so store it straight away.
+ *     tags: [API Keys]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApiKeyInput'
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 key:
+ *                   type: string
+ *                   description: The API key, to send in the X-API-Key header
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       500:
+ *         description: Server error
+ */
+router.post('/', validateRequest({ body: ApiKeyInput }), async (req, res) => {
+    try {
+        const { key, record } = await createApiKey(req.validated.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created, it will not be shown again',
+            key,
+            data: record
+        });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create API key',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: |
+ *       Needs an admin key. The key stops working at once on this server; other server instances
+ *       may accept it for up to a minute while they hold it in their cache.
+ *     tags: [API Keys]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ApiKeyParams.id'
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       404:
+ *         description: No active API key with this id
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', validateRequest({ params: ApiKeyParams }), async (req, res) => {
+    try {
+        const revoked = await revokeApiKey(req.validated.params.id);
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found or already revoked'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'API key revoked successfully',
+            data: revoked
+        });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke API key',
+            error: error.message
+        });
+    }
+});
+
+export {router as apiKeysRouter};
@@ -0,0 +1,330 @@
+import {Router} from 'express';
+import { db } from '../config/db.js';
+import { salesData } from '../DB/schema.js';
+import { and, asc, desc, sql, sum, count, countDistinct, isNotNull } from 'drizzle-orm';
+import { buildSalesConditions, whereClause, validateSalesFilters, isSale, isCancellation } from '../utils/salesFilters.js';
+import { productCode, canonicalDescription } from '../utils/products.js';
+import { customerSummaryFields, purchaseStats } from '../utils/customers.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import { CustomerListQuery, CustomerParams } from '../schemas/customers.schemas.js';
+
+const router = Router();
+
+const FAVOURITE_PRODUCTS_LIMIT = 10;
+
+const CUSTOMER_SORT_FIELDS = {
+    lifetimeValue: customerSummaryFields.lifetimeValue,
+    orders: customerSummaryFields.orderCount,
+    lastPurchase: customerSummaryFields.lastPurchase,
+    customerId: salesData.customerId
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CustomerSummary:
+ *       type: object
+ *       properties:
+ *         customerId:
+ *           type: integer
+ *         primaryCountry:
+ *           type: string
+ *           description: Country of most of the customer's sales lines
+ *         orderCount:
+ *           type: integer
+ *           description: Number of sales invoices
+ *         returnCount:
+ *           type: integer
+ *           description: Number of cancelled invoices
+ *         lifetimeValue:
+ *           type: number
+ *           description: Total spend, net of returns
+ *         firstPurchase:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastPurchase:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/customers:
+ *   get:
+ *     summary: List customers with lifetime value and order history
+ *     description: Sales lines without a customer ID are not attributed to any customer.
+ *     tags: [Customers]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CustomerListQuery.page'
+ *       - $ref: '#/components/parameters/CustomerListQuery.limit'
+ *       - $ref: '#/components/parameters/CustomerListQuery.sortBy'
+ *       - $ref: '#/components/parameters/CustomerListQuery.sortOrder'
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/CustomerId'
+ *       - $ref: '#/components/parameters/HasCustomer'
+ *       - $ref: '#/components/parameters/StockCode'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - $ref: '#/components/parameters/MinQuantity'
+ *       - $ref: '#/components/parameters/MaxQuantity'
+ *       - $ref: '#/components/parameters/MinPrice'
+ *       - $ref: '#/components/parameters/MaxPrice'
+ *       - $ref: '#/components/parameters/MinLineTotal'
+ *       - $ref: '#/components/parameters/MaxLineTotal'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/Search'
+ *     responses:
+ *       200:
+ *         description: List of customers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CustomerSummary'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+router.get('/', validateSalesFilters, validateRequest({ query: CustomerListQuery }), async (req, res) => {
+    try {
+        const { page, limit, sortBy, sortOrder } = req.validated.query;
+
+        const limitNum = Math.min(1000, limit);
+        const offset = (page - 1) * limitNum;
+
+        const conditions = [
+            isNotNull(salesData.customerId),
+            ...buildSalesConditions(req.filters)
+        ];
+        const sortField = CUSTOMER_SORT_FIELDS[sortBy];
+        const orderBy = sortOrder === 'asc' ? asc(sortField) : sql`${sortField} desc nulls last`;
+
+        const [customers, totalCount] = await Promise.all([
+            db.select(customerSummaryFields)
+                .from(salesData)
+                .where(whereClause(conditions))
+                .groupBy(salesData.customerId)
+                .orderBy(orderBy, asc(salesData.customerId))
+                .limit(limitNum)
+                .offset(offset),
+
+            db.select({ count: countDistinct(salesData.customerId) })
+                .from(salesData)
+                .where(whereClause(conditions))
+        ]);
+
+        const total = totalCount[0].count;
+
+        res.json({
+            success: true,
+            data: customers,
+            pagination: {
+                page,
+                limit: limitNum,
+                total,
+                totalPages: Math.ceil(total / limitNum)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching customers:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch customers',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/customers/{customerId}:
+ *   get:
+ *     summary: Get a customer profile with invoices and favourite products
+ *     description: |
+ *       Average basket size and the interval between purchases are based on sales invoices only.
+ *       Favourite products are the customer's most bought products by units.
+ *     tags: [Customers]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CustomerParams.customerId'
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/HasCustomer'
+ *       - $ref: '#/components/parameters/StockCode'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - $ref: '#/components/parameters/MinQuantity'
+ *       - $ref: '#/components/parameters/MaxQuantity'
+ *       - $ref: '#/components/parameters/MinPrice'
+ *       - $ref: '#/components/parameters/MaxPrice'
+ *       - $ref: '#/components/parameters/MinLineTotal'
+ *       - $ref: '#/components/parameters/MaxLineTotal'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/Search'
+ *     responses:
+ *       200:
+ *         description: Customer found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/CustomerSummary'
+ *                     - type: object
+ *                       properties:
+ *                         averageBasket:
+ *                           type: object
+ *                           nullable: true
+ *                           properties:
+ *                             quantity:
+ *                               type: number
+ *                               description: Average units per sales invoice
+ *                             value:
+ *                               type: number
+ *                               description: Average value per sales invoice
+ *                         averageDaysBetweenPurchases:
+ *                           type: number
+ *                           nullable: true
+ *                           description: Average days between consecutive sales invoices (null with fewer than two)
+ *                         favouriteProducts:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               stockCode:
+ *                                 type: string
+ *                               description:
+ *                                 type: string
+ *                               quantity:
+ *                                 type: integer
+ *                               revenue:
+ *                                 type: number
+ *                               invoices:
+ *                                 type: integer
+ *                         invoices:
+ *                           type: array
+ *                           description: Invoices, most recent first
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               invoiceNo:
+ *                                 type: string
+ *                               invoiceDate:
+ *                                 type: string
+ *                                 format: date-time
+ *                               country:
+ *                                 type: string
+ *                               isCancellation:
+ *                                 type: boolean
+ *                               lineCount:
+ *                                 type: integer
+ *                               totalQuantity:
+ *                                 type: integer
+ *                               total:
+ *                                 type: number
+ *       400:
+ *         description: Invalid customer ID or parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Customer not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:customerId', validateSalesFilters, validateRequest({ params: CustomerParams }), async (req, res) => {
+    try {
+        const { customerId } = req.validated.params;
+
+        const conditions = buildSalesConditions({ ...req.filters, customerId });
+        const lineTotal = sql`${salesData.quantity} * ${salesData.unitPrice}`;
+
+        const [summary, invoices, favouriteProducts] = await Promise.all([
+            db.select(customerSummaryFields)
+                .from(salesData)
+                .where(whereClause(conditions))
+                .groupBy(salesData.customerId),
+
+            db.select({
+                invoiceNo: salesData.invoiceNo,
+                invoiceDate: sql`min(${salesData.invoiceDate})`.mapWith(salesData.invoiceDate),
+                country: sql`min(${salesData.country})`.mapWith(String),
+                isCancellation: sql`bool_and(${isCancellation})`.mapWith(Boolean),
+                lineCount: count(),
+                totalQuantity: sum(salesData.quantity).mapWith(Number),
+                total: sum(lineTotal).mapWith(Number)
+            })
+            .from(salesData)
+            .where(whereClause(conditions))
+            .groupBy(salesData.invoiceNo)
+            .orderBy(desc(sql`min(${salesData.invoiceDate})`), desc(salesData.invoiceNo)),
+
+            db.select({
+                stockCode: sql`${productCode}`.mapWith(String),
+                description: sql`${canonicalDescription}`.mapWith(String),
+                quantity: sum(salesData.quantity).mapWith(Number),
+                revenue: sum(lineTotal).mapWith(Number),
+                invoices: countDistinct(salesData.invoiceNo)
+            })
+            .from(salesData)
+            .where(and(...conditions, isSale))
+            .groupBy(productCode)
+            .orderBy(desc(sum(salesData.quantity)), asc(productCode))
+            .limit(FAVOURITE_PRODUCTS_LIMIT)
+        ]);
+
+        if (summary.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...summary[0],
+                ...purchaseStats(invoices),
+                favouriteProducts,
+                invoices
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching customer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch customer',
+            error: error.message
+        });
+    }
+});
+
+export {router as customersRouter};
@@ -0,0 +1,241 @@
+import {Router} from 'express';
+import { db } from '../config/db.js';
+import { salesData } from '../DB/schema.js';
+import { eq, and, asc, count, sql } from 'drizzle-orm';
+import { toSalesRecord } from '../utils/salesValidation.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import { InvoiceInput } from '../schemas/invoices.schemas.js';
+import { auditActor, insertSalesLines, invoiceHistory, salesTransaction } from '../utils/salesAudit.js';
+import { isCancellationLine } from '../utils/cancellations.js';
+import { isActive } from '../utils/salesFilters.js';
+
+const router = Router();
+
+// Money is summed in integer cents so totals don't pick up floating point noise
+const toCents = (price) => Math.round(parseFloat(price) * 100);
+
+/**
+ * Builds the invoice view (header, lines with totals, grand total) from its sales lines.
+ * The header fields are taken from the first line.
+ */
+const buildInvoice = (lines) => {
+    const [first] = lines;
+    let totalCents = 0;
+    let totalQuantity = 0;
+
+    const invoiceLines = lines.map(line => {
+        const lineCents = line.quantity * toCents(line.unitPrice);
+        totalCents += lineCents;
+        totalQuantity += line.quantity;
+
+        return {
+            id: line.id,
+            stockCode: line.stockCode,
+            description: line.description,
+            quantity: line.quantity,
+            unitPrice: parseFloat(line.unitPrice),
+            lineTotal: lineCents / 100
+        };
+    });
+
+    return {
+        invoiceNo: first.invoiceNo,
+        invoiceDate: first.invoiceDate,
+        customerId: first.customerId,
+        country: first.country,
+        isCancellation: isCancellationLine(first),
+        lines: invoiceLines,
+        lineCount: invoiceLines.length,
+        totalQuantity,
+        grandTotal: totalCents / 100
+    };
+};
+
+/**
+ * @swagger
+ * /api/invoices/{invoiceNo}:
+ *   get:
+ *     summary: Get an invoice with all of its lines and totals
+ *     tags: [Invoices]
+ *     parameters:
+ *       - in: path
+ *         name: invoiceNo
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice number
+ *     responses:
+ *       200:
+ *         description: Invoice found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Invoice'
+ *       404:
+ *         description: Invoice not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:invoiceNo', async (req, res) => {
+    try {
+        const { invoiceNo } = req.params;
+
+        const lines = await db.select()
+            .from(salesData)
+            .where(and(eq(salesData.invoiceNo, invoiceNo), isActive))
+            .orderBy(asc(salesData.stockCode), asc(salesData.id));
+
+        if (lines.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: buildInvoice(lines)
+        });
+    } catch (error) {
+        console.error('Error fetching invoice:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch invoice',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/invoices/{invoiceNo}/history:
+ *   get:
+ *     summary: Get the change history of all lines of an invoice
+ *     description: |
+ *       Every create, update, delete and revert of the invoice's lines, newest first, with the line
+ *       before and after the change and the API key that made it. Includes deleted lines.
+ *     tags: [Invoices]
+ *     parameters:
+ *       - in: path
+ *         name: invoiceNo
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice number
+ *     responses:
+ *       200:
+ *         description: Change history, empty when the invoice has no recorded changes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SalesAuditEntry'
+ *       500:
+ *         description: Server error
+ */
+router.get('/:invoiceNo/history', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await invoiceHistory(req.params.invoiceNo)
+        });
+    } catch (error) {
+        console.error('Error fetching invoice history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch invoice history',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/invoices:
+ *   post:
+ *     summary: Create an invoice with all of its lines
+ *     description: |
+ *       Lines are validated with the same field rules as a single sales record; the invoice header
+ *       supplies their invoiceNo, invoiceDate, customerId and country. All lines are written in one
+ *       statement, so either the whole invoice is stored or nothing is.
+ *     tags: [Invoices]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvoiceInput'
+ *     responses:
+ *       201:
+ *         description: Invoice created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: Invalid input data, with an error per field
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         description: An invoice with this number already exists, possibly with all its lines in the trash
+ *       500:
+ *         description: Server error
+ */
+router.post('/', validateRequest({ body: InvoiceInput }), async (req, res) => {
+    try {
+        const { invoiceNo, invoiceDate, customerId, country, lines } = req.validated.body;
+        const records = lines.map((line) => toSalesRecord({ ...line, invoiceNo, invoiceDate, customerId, country }));
+
+        // Checked and created in one transaction, holding a lock on the invoice number so that two
+        // requests for the same invoice can't both pass the check
+        const created = await salesTransaction(async (tx) => {
+            await tx.execute(sql`select pg_advisory_xact_lock(hashtext(${records[0].invoiceNo}))`);
+
+            const [existing] = await tx.select({ count: count() })
+                .from(salesData)
+                .where(eq(salesData.invoiceNo, records[0].invoiceNo));
+
+            return existing.count > 0 ? null : insertSalesLines(records, auditActor(req), tx);
+        });
+
+        if (!created) {
+            return res.status(409).json({
+                success: false,
+                message: 'Invoice already exists'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Invoice created successfully',
+            data: buildInvoice(created)
+        });
+    } catch (error) {
+        console.error('Error creating invoice:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create invoice',
+            error: error.message
+        });
+    }
+});
+
+export {router as invoicesRouter};
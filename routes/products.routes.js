@@ -0,0 +1,327 @@
+import {Router} from 'express';
+import { db } from '../config/db.js';
+import { salesData } from '../DB/schema.js';
+import { eq, and, asc, desc, sql, sum, count, countDistinct } from 'drizzle-orm';
+import { buildSalesConditions, whereClause, validateSalesFilters, isSale, isActive } from '../utils/salesFilters.js';
+import {
+    productCode,
+    normalizeProductCode,
+    productSummaryFields,
+    formatProductSummary
+} from '../utils/products.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import { ProductListQuery } from '../schemas/products.schemas.js';
+
+const router = Router();
+
+const PRODUCT_SORT_FIELDS = {
+    revenue: productSummaryFields.totalRevenue,
+    quantity: productSummaryFields.totalQuantity,
+    lastSold: productSummaryFields.lastSold,
+    stockCode: productCode
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductSummary:
+ *       type: object
+ *       properties:
+ *         stockCode:
+ *           type: string
+ *           description: Normalized stock code (upper case), shared by all its variants
+ *         description:
+ *           type: string
+ *           description: Most frequently used description
+ *         stockCodeVariants:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Stock codes as they appear in the sales data
+ *         currentPrice:
+ *           type: number
+ *           nullable: true
+ *           description: Unit price of the most recent sale
+ *         firstSold:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastSold:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         totalQuantity:
+ *           type: integer
+ *           description: Units sold, net of returns
+ *         totalRevenue:
+ *           type: number
+ *           description: Revenue, net of returns
+ *         prices:
+ *           type: object
+ *           description: Historical unit prices across all sales
+ *           properties:
+ *             min:
+ *               type: number
+ *             max:
+ *               type: number
+ *             average:
+ *               type: number
+ */
+
+/**
+ * @swagger
+ * /api/products:
+ *   get:
+ *     summary: List products with prices and sales totals
+ *     description: |
+ *       Products are derived from the stock codes in the sales data. Stock codes that differ only in
+ *       case or surrounding whitespace (e.g. "85123A" and "85123a") are merged into one product.
+ *     tags: [Products]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductListQuery.page'
+ *       - $ref: '#/components/parameters/ProductListQuery.limit'
+ *       - $ref: '#/components/parameters/ProductListQuery.sortBy'
+ *       - $ref: '#/components/parameters/ProductListQuery.sortOrder'
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/CustomerId'
+ *       - $ref: '#/components/parameters/HasCustomer'
+ *       - $ref: '#/components/parameters/StockCode'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - $ref: '#/components/parameters/MinQuantity'
+ *       - $ref: '#/components/parameters/MaxQuantity'
+ *       - $ref: '#/components/parameters/MinPrice'
+ *       - $ref: '#/components/parameters/MaxPrice'
+ *       - $ref: '#/components/parameters/MinLineTotal'
+ *       - $ref: '#/components/parameters/MaxLineTotal'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/Search'
+ *     responses:
+ *       200:
+ *         description: List of products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProductSummary'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+router.get('/', validateSalesFilters, validateRequest({ query: ProductListQuery }), async (req, res) => {
+    try {
+        const { page, limit, sortBy, sortOrder } = req.validated.query;
+
+        const limitNum = Math.min(1000, limit);
+        const offset = (page - 1) * limitNum;
+
+        const conditions = buildSalesConditions(req.filters);
+        const sortField = PRODUCT_SORT_FIELDS[sortBy];
+        const orderBy = sortOrder === 'asc' ? asc(sortField) : sql`${sortField} desc nulls last`;
+
+        const [products, totalCount] = await Promise.all([
+            db.select(productSummaryFields)
+                .from(salesData)
+                .where(whereClause(conditions))
+                .groupBy(productCode)
+                .orderBy(orderBy, asc(productCode))
+                .limit(limitNum)
+                .offset(offset),
+
+            db.select({ count: countDistinct(productCode) })
+                .from(salesData)
+                .where(whereClause(conditions))
+        ]);
+
+        const total = totalCount[0].count;
+
+        res.json({
+            success: true,
+            data: products.map(formatProductSummary),
+            pagination: {
+                page,
+                limit: limitNum,
+                total,
+                totalPages: Math.ceil(total / limitNum)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching products:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch products',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/{stockCode}:
+ *   get:
+ *     summary: Get a product with its price history and sales by country
+ *     description: |
+ *       The stock code is matched case-insensitively, so all variants of a code return the same product.
+ *       The price history has one entry per month with purchase prices seen that month.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: stockCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stock code
+ *     responses:
+ *       200:
+ *         description: Product found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ProductSummary'
+ *                     - type: object
+ *                       properties:
+ *                         descriptions:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               description:
+ *                                 type: string
+ *                               lines:
+ *                                 type: integer
+ *                         priceHistory:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               month:
+ *                                 type: string
+ *                                 example: "2011-03"
+ *                               minPrice:
+ *                                 type: number
+ *                               maxPrice:
+ *                                 type: number
+ *                               averagePrice:
+ *                                 type: number
+ *                               quantity:
+ *                                 type: integer
+ *                         salesByCountry:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               country:
+ *                                 type: string
+ *                               quantity:
+ *                                 type: integer
+ *                               revenue:
+ *                                 type: number
+ *                               invoices:
+ *                                 type: integer
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:stockCode', async (req, res) => {
+    try {
+        const code = normalizeProductCode(req.params.stockCode);
+        const matchesProduct = and(eq(productCode, code), isActive);
+        const isPurchase = and(matchesProduct, isSale, sql`${salesData.quantity} > 0`);
+        const month = sql`to_char(${salesData.invoiceDate}, 'YYYY-MM')`;
+
+        const [summary, descriptions, priceHistory, salesByCountry] = await Promise.all([
+            db.select(productSummaryFields)
+                .from(salesData)
+                .where(matchesProduct)
+                .groupBy(productCode),
+
+            db.select({
+                description: salesData.description,
+                lines: count()
+            })
+            .from(salesData)
+            .where(and(matchesProduct, sql`${salesData.description} is not null`))
+            .groupBy(salesData.description)
+            .orderBy(desc(count())),
+
+            db.select({
+                month: month.mapWith(String),
+                minPrice: sql`min(${salesData.unitPrice})`.mapWith(Number),
+                maxPrice: sql`max(${salesData.unitPrice})`.mapWith(Number),
+                averagePrice: sql`avg(${salesData.unitPrice})`.mapWith(Number),
+                quantity: sum(salesData.quantity).mapWith(Number)
+            })
+            .from(salesData)
+            .where(isPurchase)
+            .groupBy(month)
+            .orderBy(month),
+
+            db.select({
+                country: salesData.country,
+                quantity: sum(salesData.quantity).mapWith(Number),
+                revenue: sum(sql`${salesData.quantity} * ${salesData.unitPrice}`).mapWith(Number),
+                invoices: countDistinct(salesData.invoiceNo)
+            })
+            .from(salesData)
+            .where(matchesProduct)
+            .groupBy(salesData.country)
+            .orderBy(desc(sum(sql`${salesData.quantity} * ${salesData.unitPrice}`)))
+        ]);
+
+        if (summary.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...formatProductSummary(summary[0]),
+                descriptions,
+                priceHistory,
+                salesByCountry
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching product:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch product',
+            error: error.message
+        });
+    }
+});
+
+export {router as productsRouter};
@@ -0,0 +1,60 @@
+import {Router} from 'express';
+import { requireRole } from '../utils/apiKeys.js';
+import { rebuildRollups } from '../utils/salesRollups.js';
+import { invalidateAnalyticsCache } from '../utils/analyticsCache.js';
+
+const router = Router();
+
+router.use(requireRole('admin'));
+
+/**
+ * @swagger
+ * /api/admin/rollups/rebuild:
+ *   post:
+ *     summary: Rebuild the daily sales rollups
+ *     description: |
+ *       Needs an admin key. Recomputes the rollups of every day from the sales lines. Writes through
+ *       the API keep them up to date, so this is only needed after loading or changing data
+ *       directly in the database. Analytics read the lines until the rebuild is done.
+ *     tags: [Rollups]
+ *     responses:
+ *       200:
+ *         description: Rollups rebuilt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 days:
+ *                   type: integer
+ *                   description: Number of days rebuilt
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       500:
+ *         description: Server error
+ */
+router.post('/rebuild', async (req, res) => {
+    try {
+        const days = await rebuildRollups();
+        await invalidateAnalyticsCache();
+
+        res.json({
+            success: true,
+            message: `Rebuilt the rollups of ${days} days`,
+            days
+        });
+    } catch (error) {
+        console.error('Error rebuilding sales rollups:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to rebuild sales rollups',
+            error: error.message
+        });
+    }
+});
+
+export {router as rollupsRouter};
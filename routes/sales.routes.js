@@ -1,63 +1,141 @@
 import {Router} from 'express';
 import { db } from '../config/db.js';
 import { salesData } from '../DB/schema.js';
-import { eq, and, gte, lte, desc, asc, sql, count, sum } from 'drizzle-orm';
+import { eq, and, desc, asc, sql, count, sum, getTableColumns } from 'drizzle-orm';
+import { pipeline } from 'stream/promises';
+import { validateSalesRecord } from '../utils/salesValidation.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import { requireRole } from '../utils/apiKeys.js';
+import { SalesDataUpdate, SalesLineParams, SalesKeyParams, SalesListQuery, SalesTrashQuery, SalesPurgeQuery, SalesBulkUpdateInput, SalesBulkDeleteInput } from '../schemas/sales.schemas.js';
+import { SalesRevertInput } from '../schemas/audit.schemas.js';
+import { TopProductsQuery } from '../schemas/analytics.schemas.js';
+import { detectImportFormat, mapImportRow, readImportRows } from '../utils/salesImport.js';
+import { buildSalesConditions, buildSalesOrder, whereClause, validateSalesFilters, isActive, isTrashed } from '../utils/salesFilters.js';
+import { encodeCursor, decodeCursor, buildKeysetPage } from '../utils/salesCursor.js';
+import { streamQuery } from '../utils/streamQuery.js';
+import { rollupSummary, rollupTopProducts } from '../utils/salesRollups.js';
+import { isCancellationLine, findOriginalSale } from '../utils/cancellations.js';
+import { productCode, canonicalDescription } from '../utils/products.js';
+import { EXPORT_FORMATS, negotiateExportFormat, createExportFormatter } from '../utils/exportFormats.js';
+import {
+    auditActor,
+    insertSalesLines,
+    updateSalesLine,
+    deleteSalesLine,
+    restoreSalesLine,
+    bulkUpdateSalesLines,
+    bulkDeleteSalesLines,
+    revertSalesLine,
+    purgeTrash,
+    TRASH_RETENTION_DAYS,
+    lineHistory,
+    findAuditEntry
+} from '../utils/salesAudit.js';
 
 const router = Router();
 
+const IMPORT_BATCH_SIZE = 500;
+const IMPORT_MAX_REPORTED_ERRORS = 1000;
+
+// Bulk changes to more lines than this need the number of lines confirmed
+const BULK_CONFIRM_THRESHOLD = Number(process.env.BULK_CONFIRM_THRESHOLD) || 100;
+const BULK_SAMPLE_SIZE = 10;
+
 /**
  * @swagger
  * components:
- *   schemas:
- *     SalesData:
- *       type: object
- *       required:
- *         - invoiceNo
- *         - stockCode
- *         - quantity
- *         - invoiceDate
- *         - unitPrice
- *         - country
- *       properties:
- *         invoiceNo:
- *           type: string
- *           maxLength: 20
- *           description: Invoice number
- *         stockCode:
- *           type: string
- *           maxLength: 20
- *           description: Product stock code
- *         description:
- *           type: string
- *           maxLength: 255
- *           description: Product description
- *         quantity:
- *           type: integer
- *           description: Quantity sold
- *         invoiceDate:
- *           type: string
- *           format: date-time
- *           description: Date and time of invoice
- *         unitPrice:
- *           type: number
- *           format: decimal
- *           description: Unit price of the product
- *         customerId:
- *           type: integer
- *           description: Customer ID (nullable)
- *         country:
- *           type: string
- *           maxLength: 100
- *           description: Country of sale
- *       example:
- *         invoiceNo: "536365"
- *         stockCode: "85123A"
- *         description: "WHITE HANGING HEART T-LIGHT HOLDER"
- *         quantity: 6
- *         invoiceDate: "2010-12-01T08:26:00.000Z"
- *         unitPrice: 2.55
- *         customerId: 17850
- *         country: "United Kingdom"
+ *   parameters:
+ *     Country:
+ *       in: query
+ *       name: country
+ *       schema:
+ *         type: string
+ *       description: Filter by country; several countries can be comma-separated or repeated
+ *     CustomerId:
+ *       in: query
+ *       name: customerId
+ *       schema:
+ *         type: integer
+ *       description: Filter by customer ID
+ *     HasCustomer:
+ *       in: query
+ *       name: hasCustomer
+ *       schema:
+ *         type: boolean
+ *       description: Only lines with (true) or without (false) a customer ID
+ *     StockCode:
+ *       in: query
+ *       name: stockCode
+ *       schema:
+ *         type: string
+ *       description: Filter by stock code (case-insensitive); end with * to match a prefix, e.g. 8512*
+ *     StartDate:
+ *       in: query
+ *       name: startDate
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Filter by start date (YYYY-MM-DD or ISO 8601, inclusive)
+ *     EndDate:
+ *       in: query
+ *       name: endDate
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Filter by end date (YYYY-MM-DD or ISO 8601, inclusive); a date covers the whole day
+ *     MinQuantity:
+ *       in: query
+ *       name: minQuantity
+ *       schema:
+ *         type: integer
+ *       description: Minimum line quantity
+ *     MaxQuantity:
+ *       in: query
+ *       name: maxQuantity
+ *       schema:
+ *         type: integer
+ *       description: Maximum line quantity
+ *     MinPrice:
+ *       in: query
+ *       name: minPrice
+ *       schema:
+ *         type: number
+ *       description: Minimum unit price
+ *     MaxPrice:
+ *       in: query
+ *       name: maxPrice
+ *       schema:
+ *         type: number
+ *       description: Maximum unit price
+ *     MinLineTotal:
+ *       in: query
+ *       name: minLineTotal
+ *       schema:
+ *         type: number
+ *       description: Minimum line total (quantity × unit price)
+ *     MaxLineTotal:
+ *       in: query
+ *       name: maxLineTotal
+ *       schema:
+ *         type: number
+ *       description: Maximum line total (quantity × unit price)
+ *     Search:
+ *       in: query
+ *       name: q
+ *       schema:
+ *         type: string
+ *         maxLength: 200
+ *       description: Search descriptions by words (full-text) or by similarity, which tolerates misspellings
+ *     TransactionType:
+ *       in: query
+ *       name: transactionType
+ *       schema:
+ *         type: string
+ *         enum: [net, sales, returns]
+ *         default: net
+ *       description: |
+ *         Which lines to include: sales only, returns only (cancelled invoices, numbered
+ *         with a "C" prefix) or net of both
  */
 
 
@@ -66,25 +144,25 @@ const router = Router();
  * /api/sales/analytics/summary:
  *   get:
  *     summary: Get sales analytics summary
+ *     description: |
+ *       Requests filtering only on country, stockCode, transactionType and whole days (date-only
+ *       or midnight UTC startDate/endDate) are answered from the daily rollups, with the same results.
  *     tags: [Sales Analytics]
  *     parameters:
- *       - in: query
- *         name: startDate
- *         schema:
- *           type: string
- *           format: date
- *         description: Start date for analytics (YYYY-MM-DD)
- *       - in: query
- *         name: endDate
- *         schema:
- *           type: string
- *           format: date
- *         description: End date for analytics (YYYY-MM-DD)
- *       - in: query
- *         name: country
- *         schema:
- *           type: string
- *         description: Filter by country
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/CustomerId'
+ *       - $ref: '#/components/parameters/HasCustomer'
+ *       - $ref: '#/components/parameters/StockCode'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - $ref: '#/components/parameters/MinQuantity'
+ *       - $ref: '#/components/parameters/MaxQuantity'
+ *       - $ref: '#/components/parameters/MinPrice'
+ *       - $ref: '#/components/parameters/MaxPrice'
+ *       - $ref: '#/components/parameters/MinLineTotal'
+ *       - $ref: '#/components/parameters/MaxLineTotal'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/Search'
  *     responses:
  *       200:
  *         description: Sales analytics summary
@@ -109,36 +187,20 @@ const router = Router();
  *       500:
  *         description: Server error
  */
-router.get('/analytics/summary', async (req, res) => {
+router.get('/analytics/summary', validateSalesFilters, async (req, res) => {
     try {
-        const { startDate, endDate, country } = req.query;
-        
-        // Build where conditions
-        const conditions = [];
-        
-        if (startDate) {
-            conditions.push(gte(salesData.invoiceDate, new Date(startDate)));
-        }
-        
-        if (endDate) {
-            conditions.push(lte(salesData.invoiceDate, new Date(endDate)));
-        }
-        
-        if (country) {
-            conditions.push(eq(salesData.country, country));
-        }
+        const conditions = buildSalesConditions(req.filters);
 
-        const result = await db.select({
+        // Day-aligned requests are answered from the daily rollups when they are up to date
+        const summary = await rollupSummary(req.filters) ?? (await db.select({
             totalSales: sum(sql`${salesData.quantity} * ${salesData.unitPrice}`),
             totalQuantity: sum(salesData.quantity),
             totalOrders: count(),
             averageOrderValue: sql`AVG(${salesData.quantity} * ${salesData.unitPrice})`
         })
         .from(salesData)
-        .where(conditions.length > 0 ? and(...conditions) : undefined);
+        .where(whereClause(conditions)))[0];
 
-        const summary = result[0];
-        
         res.json({
             success: true,
             data: {
@@ -163,59 +225,64 @@ router.get('/analytics/summary', async (req, res) => {
  * /api/sales/analytics/top-products:
  *   get:
  *     summary: Get top-selling products
+ *     description: |
+ *       Stock code variants that differ only in case or whitespace count as one product; products
+ *       with the same quantity are ordered by stock code. Requests filtering only on country,
+ *       stockCode, transactionType and whole days are answered from the daily rollups, with the
+ *       same results.
  *     tags: [Sales Analytics]
  *     parameters:
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Number of top products to return
- *       - in: query
- *         name: startDate
- *         schema:
- *           type: string
- *           format: date
- *         description: Start date for analytics (YYYY-MM-DD)
- *       - in: query
- *         name: endDate
- *         schema:
- *           type: string
- *           format: date
- *         description: End date for analytics (YYYY-MM-DD)
+ *       - $ref: '#/components/parameters/TopProductsQuery.limit'
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/CustomerId'
+ *       - $ref: '#/components/parameters/HasCustomer'
+ *       - $ref: '#/components/parameters/StockCode'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - $ref: '#/components/parameters/MinQuantity'
+ *       - $ref: '#/components/parameters/MaxQuantity'
+ *       - $ref: '#/components/parameters/MinPrice'
+ *       - $ref: '#/components/parameters/MaxPrice'
+ *       - $ref: '#/components/parameters/MinLineTotal'
+ *       - $ref: '#/components/parameters/MaxLineTotal'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/Search'
  *     responses:
  *       200:
  *         description: List of top-selling products
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  *       500:
  *         description: Server error
  */
-router.get('/analytics/top-products', async (req, res) => {
+router.get('/analytics/top-products', validateSalesFilters, validateRequest({ query: TopProductsQuery }), async (req, res) => {
     try {
-        const { limit = 10, startDate, endDate } = req.query;
-        const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
-        
-        // Build where conditions
-        const conditions = [];
-        
-        if (startDate) {
-            conditions.push(gte(salesData.invoiceDate, new Date(startDate)));
-        }
-        
-        if (endDate) {
-            conditions.push(lte(salesData.invoiceDate, new Date(endDate)));
-        }
+        const { limit } = req.validated.query;
+        const limitNum = Math.min(100, limit);
+        const conditions = buildSalesConditions(req.filters);
 
-        const result = await db.select({
-            stockCode: salesData.stockCode,
-            description: salesData.description,
-            totalQuantity: sum(salesData.quantity),
+        // Returns have negative quantities, so the most returned products sort lowest
+        const ascending = req.filters.transactionType === 'returns';
+        const totalQuantity = sum(salesData.quantity);
+        const ranking = ascending ? asc(totalQuantity) : desc(totalQuantity);
+
+        // Stock code variants are reconciled into one product, labelled with its usual description.
+        // Day-aligned requests are answered from the daily rollups when they are up to date.
+        const result = await rollupTopProducts(req.filters, { limit: limitNum, ascending }) ?? await db.select({
+            stockCode: sql`${productCode}`.mapWith(String),
+            description: sql`${canonicalDescription}`.mapWith(String),
+            totalQuantity,
             totalRevenue: sum(sql`${salesData.quantity} * ${salesData.unitPrice}`),
             averagePrice: sql`AVG(${salesData.unitPrice})`
         })
         .from(salesData)
-        .where(conditions.length > 0 ? and(...conditions) : undefined)
-        .groupBy(salesData.stockCode, salesData.description)
-        .orderBy(desc(sum(salesData.quantity)))
+        .where(whereClause(conditions))
+        .groupBy(productCode)
+        .orderBy(ranking, asc(productCode))
         .limit(limitNum);
 
         res.json({
@@ -243,56 +310,37 @@ router.get('/analytics/top-products', async (req, res) => {
  * /api/sales:
  *   get:
  *     summary: Get all sales records with pagination and filtering
+ *     description: |
+ *       Supports two kinds of pagination. With `page`, records are paged by offset and the total
+ *       is always counted. With `cursor`, records are paged by keyset: pass an empty cursor for the
+ *       first page, then follow `nextCursor` / `prevCursor`. Keyset pages stay consistent while
+ *       records are written and stay fast on deep pages. Offset responses also return cursors,
+ *       so a client can switch after its first page.
+ *
+ *       A cursor keeps the sortBy/sortOrder it was created with; the filters must be sent again
+ *       with every request.
  *     tags: [Sales]
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number for pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 50
- *         description: Number of records per page (max 1000)
- *       - in: query
- *         name: country
- *         schema:
- *           type: string
- *         description: Filter by country
- *       - in: query
- *         name: customerId
- *         schema:
- *           type: integer
- *         description: Filter by customer ID
- *       - in: query
- *         name: startDate
- *         schema:
- *           type: string
- *           format: date
- *         description: Filter by start date (YYYY-MM-DD)
- *       - in: query
- *         name: endDate
- *         schema:
- *           type: string
- *           format: date
- *         description: Filter by end date (YYYY-MM-DD)
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *           enum: [invoiceDate, unitPrice, quantity]
- *           default: invoiceDate
- *         description: Sort field
- *       - in: query
- *         name: sortOrder
- *         schema:
- *           type: string
- *           enum: [asc, desc]
- *           default: desc
- *         description: Sort order
+ *       - $ref: '#/components/parameters/SalesListQuery.page'
+ *       - $ref: '#/components/parameters/SalesListQuery.limit'
+ *       - $ref: '#/components/parameters/SalesListQuery.cursor'
+ *       - $ref: '#/components/parameters/SalesListQuery.includeTotal'
+ *       - $ref: '#/components/parameters/SalesListQuery.sortBy'
+ *       - $ref: '#/components/parameters/SalesListQuery.sortOrder'
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/CustomerId'
+ *       - $ref: '#/components/parameters/HasCustomer'
+ *       - $ref: '#/components/parameters/StockCode'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - $ref: '#/components/parameters/MinQuantity'
+ *       - $ref: '#/components/parameters/MaxQuantity'
+ *       - $ref: '#/components/parameters/MinPrice'
+ *       - $ref: '#/components/parameters/MaxPrice'
+ *       - $ref: '#/components/parameters/MinLineTotal'
+ *       - $ref: '#/components/parameters/MaxLineTotal'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/Search'
  *     responses:
  *       200:
  *         description: List of sales records
@@ -312,81 +360,110 @@ router.get('/analytics/top-products', async (req, res) => {
  *                   properties:
  *                     page:
  *                       type: integer
+ *                       description: Offset pagination only
  *                     limit:
  *                       type: integer
  *                     total:
  *                       type: integer
+ *                       description: Always set for offset pagination, with includeTotal for cursors
  *                     totalPages:
  *                       type: integer
+ *                       description: Offset pagination only
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor for the following page, null on the last page
+ *                     prevCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor for the preceding page, null on the first page
+ *       400:
+ *         description: Invalid parameters or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  *       500:
  *         description: Server error
  */
-router.get('/', async (req, res) => {
+router.get('/', validateSalesFilters, validateRequest({ query: SalesListQuery }), async (req, res) => {
     try {
-        const {
-            page = 1,
-            limit = 50,
-            country,
-            customerId,
-            startDate,
-            endDate,
-            sortBy = 'invoiceDate',
-            sortOrder = 'desc'
-        } = req.query;
-
-        // Validate and sanitize inputs
-        const pageNum = Math.max(1, parseInt(page));
-        const limitNum = Math.min(1000, Math.max(1, parseInt(limit)));
-        const offset = (pageNum - 1) * limitNum;
-
-        // Build where conditions
-        const conditions = [];
-        
-        if (country) {
-            conditions.push(eq(salesData.country, country));
-        }
-        
-        if (customerId) {
-            conditions.push(eq(salesData.customerId, parseInt(customerId)));
-        }
-        
-        if (startDate) {
-            conditions.push(gte(salesData.invoiceDate, new Date(startDate)));
-        }
-        
-        if (endDate) {
-            conditions.push(lte(salesData.invoiceDate, new Date(endDate)));
+        const { page, limit, cursor, includeTotal, sortBy, sortOrder } = req.validated.query;
+
+        const limitNum = Math.min(1000, limit);
+        const conditions = buildSalesConditions(req.filters);
+
+        // An empty cursor starts keyset pagination at the beginning of the list
+        const position = cursor ? decodeCursor(cursor) : { sortBy, sortOrder };
+
+        if (!position) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
         }
 
-        // Build sort order
-        const sortField = salesData[sortBy] || salesData.invoiceDate;
-        const orderBy = sortOrder === 'asc' ? asc(sortField) : desc(sortField);
+        const keyset = buildKeysetPage(position);
+        const cursorFrom = (record, direction) => encodeCursor({ ...position, value: record[position.sortBy], id: record.id, direction });
+        const countTotal = () => db.select({ count: count() })
+            .from(salesData)
+            .where(whereClause(conditions));
+        const selectPage = () => db.select()
+            .from(salesData)
+            .where(whereClause(keyset.condition ? [...conditions, keyset.condition] : conditions))
+            .orderBy(...keyset.orderBy);
+
+        if (cursor === undefined) {
+            const offset = (page - 1) * limitNum;
 
-        // Execute queries in parallel
-        const [records, totalCount] = await Promise.all([
-            db.select()
-                .from(salesData)
-                .where(conditions.length > 0 ? and(...conditions) : undefined)
-                .orderBy(orderBy)
-                .limit(limitNum)
-                .offset(offset),
-            
-            db.select({ count: count() })
-                .from(salesData)
-                .where(conditions.length > 0 ? and(...conditions) : undefined)
+            // Execute queries in parallel
+            const [records, totalCount] = await Promise.all([
+                selectPage().limit(limitNum).offset(offset),
+                countTotal()
+            ]);
+
+            const total = parseInt(totalCount[0].count);
+            const first = records[0];
+            const last = records.at(-1);
+
+            return res.json({
+                success: true,
+                data: records,
+                pagination: {
+                    page,
+                    limit: limitNum,
+                    total,
+                    totalPages: Math.ceil(total / limitNum),
+                    nextCursor: last && offset + records.length < total ? cursorFrom(last, 'next') : null,
+                    prevCursor: first && offset > 0 ? cursorFrom(first, 'prev') : null
+                }
+            });
+        }
+
+        // One extra row tells whether there is another page in the reading direction
+        const [rows, totalCount] = await Promise.all([
+            selectPage().limit(limitNum + 1),
+            includeTotal ? countTotal() : null
         ]);
 
-        const total = totalCount[0].count;
-        const totalPages = Math.ceil(total / limitNum);
+        const hasMore = rows.length > limitNum;
+        const records = rows.slice(0, limitNum);
+        if (keyset.reverse) records.reverse();
+
+        const first = records[0];
+        const last = records.at(-1);
+        // Rows on the side we came from exist whenever we started from a cursor
+        const moreAfter = keyset.reverse || hasMore;
+        const moreBefore = keyset.reverse ? hasMore : Boolean(cursor);
 
         res.json({
             success: true,
             data: records,
             pagination: {
-                page: pageNum,
                 limit: limitNum,
-                total: parseInt(total),
-                totalPages
+                nextCursor: last && moreAfter ? cursorFrom(last, 'next') : null,
+                prevCursor: first && moreBefore ? cursorFrom(first, 'prev') : null,
+                ...(totalCount && { total: parseInt(totalCount[0].count) })
             }
         });
     } catch (error) {
@@ -401,70 +478,108 @@ router.get('/', async (req, res) => {
 
 /**
  * @swagger
- * /api/sales/{invoiceNo}/{stockCode}:
+ * /api/sales/export:
  *   get:
- *     summary: Get a specific sales record by invoice number and stock code
+ *     summary: Export all matching sales records
+ *     description: |
+ *       Streams every record matching the filters, without pagination. The output format is taken
+ *       from the `format` param, or negotiated from the Accept header (JSON by default).
  *     tags: [Sales]
  *     parameters:
- *       - in: path
- *         name: invoiceNo
- *         required: true
+ *       - in: query
+ *         name: format
  *         schema:
  *           type: string
- *         description: Invoice number
- *       - in: path
- *         name: stockCode
- *         required: true
+ *           enum: [csv, ndjson, json]
+ *         description: Output format (overrides the Accept header)
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/CustomerId'
+ *       - $ref: '#/components/parameters/HasCustomer'
+ *       - $ref: '#/components/parameters/StockCode'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - $ref: '#/components/parameters/MinQuantity'
+ *       - $ref: '#/components/parameters/MaxQuantity'
+ *       - $ref: '#/components/parameters/MinPrice'
+ *       - $ref: '#/components/parameters/MaxPrice'
+ *       - $ref: '#/components/parameters/MinLineTotal'
+ *       - $ref: '#/components/parameters/MaxLineTotal'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/Search'
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [invoiceDate, unitPrice, quantity]
+ *           default: invoiceDate
+ *         description: Sort field
+ *       - in: query
+ *         name: sortOrder
  *         schema:
  *           type: string
- *         description: Stock code
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort order
  *     responses:
  *       200:
- *         description: Sales record found
+ *         description: Matching sales records
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   $ref: '#/components/schemas/SalesData'
- *       404:
- *         description: Sales record not found
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SalesData'
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       406:
+ *         description: Requested format is not supported
  *       500:
  *         description: Server error
  */
-router.get('/:invoiceNo/:stockCode', async (req, res) => {
+router.get('/export', validateSalesFilters, async (req, res) => {
+    const format = negotiateExportFormat(req);
+
+    if (!format) {
+        return res.status(406).json({
+            success: false,
+            message: `Unsupported export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+        });
+    }
+
     try {
-        const { invoiceNo, stockCode } = req.params;
+        const conditions = buildSalesConditions(req.filters);
+        const columns = getTableColumns(salesData);
 
-        const record = await db.select()
+        const query = db.select()
             .from(salesData)
-            .where(
-                and(
-                    eq(salesData.invoiceNo, invoiceNo),
-                    eq(salesData.stockCode, stockCode)
-                )
-            )
-            .limit(1);
+            .where(whereClause(conditions))
+            .orderBy(buildSalesOrder(req.query));
 
-        if (record.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Sales record not found'
-            });
-        }
+        const rows = await streamQuery(query, columns);
+        const { contentType, extension } = EXPORT_FORMATS[format];
 
-        res.json({
-            success: true,
-            data: record[0]
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="sales-export.${extension}"`
         });
+
+        await pipeline(rows, createExportFormatter(format, Object.keys(columns)), res);
     } catch (error) {
-        console.error('Error fetching sales record:', error);
+        console.error('Error exporting sales records:', error);
+
+        // Once rows have been sent the status can't change, so cut the response short instead
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+
+        res.removeHeader('Content-Disposition');
         res.status(500).json({
             success: false,
-            message: 'Failed to fetch sales record',
+            message: 'Failed to export sales records',
             error: error.message
         });
     }
@@ -472,19 +587,20 @@ router.get('/:invoiceNo/:stockCode', async (req, res) => {
 
 /**
  * @swagger
- * /api/sales:
- *   post:
- *     summary: Create a new sales record
+ * /api/sales/trash:
+ *   get:
+ *     summary: List the sales lines in the trash
+ *     description: |
+ *       Deleted lines, most recently deleted first. They can be restored until they are purged,
+ *       which happens automatically once they have been in the trash for the retention period
+ *       (TRASH_RETENTION_DAYS, 30 days by default).
  *     tags: [Sales]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/SalesData'
+ *     parameters:
+ *       - $ref: '#/components/parameters/SalesTrashQuery.page'
+ *       - $ref: '#/components/parameters/SalesTrashQuery.limit'
  *     responses:
- *       201:
- *         description: Sales record created successfully
+ *       200:
+ *         description: Trashed sales records
  *         content:
  *           application/json:
  *             schema:
@@ -493,187 +609,812 @@ router.get('/:invoiceNo/:stockCode', async (req, res) => {
  *                 success:
  *                   type: boolean
  *                 data:
- *                   $ref: '#/components/schemas/SalesData'
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SalesData'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
  *       400:
- *         description: Invalid input data
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Purge the trash
+ *     description: |
+ *       Needs an admin key. Deletes for good the lines trashed more than `olderThanDays` days ago
+ *       (the retention period by default, 0 empties the trash). Purged lines can still be
+ *       re-created from their history with the revert endpoint.
+ *     tags: [Sales]
+ *     parameters:
+ *       - $ref: '#/components/parameters/SalesPurgeQuery.olderThanDays'
+ *     responses:
+ *       200:
+ *         description: Trash purged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 purged:
+ *                   type: integer
+ *                   description: Number of lines deleted for good
+ *       400:
+ *         description: Invalid olderThanDays
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: The API key is not an admin key
  *       500:
  *         description: Server error
  */
-router.post('/', async (req, res) => {
+router.get('/trash', validateRequest({ query: SalesTrashQuery }), async (req, res) => {
     try {
-        const {
-            invoiceNo,
-            stockCode,
-            description,
-            quantity,
-            invoiceDate,
-            unitPrice,
-            customerId,
-            country
-        } = req.body;
-
-        // Validate required fields
-        if (!invoiceNo || !stockCode || !quantity || !invoiceDate || !unitPrice || !country) {
-            return res.status(400).json({
-                success: false,
-                message: 'Missing required fields: invoiceNo, stockCode, quantity, invoiceDate, unitPrice, country'
-            });
-        }
+        const { page, limit } = req.validated.query;
+        const offset = (page - 1) * limit;
 
-        // Validate data types
-        if (isNaN(quantity) || isNaN(parseFloat(unitPrice))) {
-            return res.status(400).json({
-                success: false,
-                message: 'Quantity must be an integer and unitPrice must be a number'
-            });
-        }
+        const [records, totalCount] = await Promise.all([
+            db.select()
+                .from(salesData)
+                .where(isTrashed)
+                .orderBy(desc(salesData.deletedAt), desc(salesData.id))
+                .limit(limit)
+                .offset(offset),
+            db.select({ count: count() })
+                .from(salesData)
+                .where(isTrashed)
+        ]);
 
-        const newRecord = {
-            invoiceNo: invoiceNo.toString(),
-            stockCode: stockCode.toString(),
-            description: description || null,
-            quantity: parseInt(quantity),
-            invoiceDate: new Date(invoiceDate),
-            unitPrice: parseFloat(unitPrice).toFixed(2),
-            customerId: customerId ? parseInt(customerId) : null,
-            country: country.toString()
-        };
-
-        const result = await db.insert(salesData)
-            .values(newRecord)
-            .returning();
+        const total = parseInt(totalCount[0].count);
 
-        res.status(201).json({
+        res.json({
             success: true,
-            message: 'Sales record created successfully',
-            data: result[0]
+            data: records,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
         });
     } catch (error) {
-        console.error('Error creating sales record:', error);
-        
-        // Handle unique constraint violations
-        if (error.code === '23505') {
-            return res.status(400).json({
-                success: false,
-                message: 'Sales record with this invoice number and stock code already exists'
-            });
-        }
+        console.error('Error fetching trashed sales records:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch trashed sales records',
+            error: error.message
+        });
+    }
+});
+
+router.delete('/trash', requireRole('admin'), validateRequest({ query: SalesPurgeQuery }), async (req, res) => {
+    try {
+        const { olderThanDays = TRASH_RETENTION_DAYS } = req.validated.query;
+        const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+
+        const purged = await purgeTrash(cutoff, auditActor(req));
 
+        res.json({
+            success: true,
+            message: `Purged ${purged} sales records trashed more than ${olderThanDays} days ago`,
+            purged
+        });
+    } catch (error) {
+        console.error('Error purging trashed sales records:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to create sales record',
+            message: 'Failed to purge trashed sales records',
             error: error.message
         });
     }
 });
 
+const validateLineParams = validateRequest({ params: SalesLineParams });
+const validateKeyParams = validateRequest({ params: SalesKeyParams });
+const validateLineUpdate = validateRequest({ body: SalesDataUpdate });
+
 /**
- * @swagger
- * /api/sales/{invoiceNo}/{stockCode}:
- *   put:
- *     summary: Update a sales record
- *     tags: [Sales]
- *     parameters:
- *       - in: path
- *         name: invoiceNo
- *         required: true
- *         schema:
- *           type: string
- *         description: Invoice number
- *       - in: path
- *         name: stockCode
- *         required: true
- *         schema:
- *           type: string
- *         description: Stock code
+ * Middleware taking the line id from the path into `req.lineId`.
+ */
+const parseLineId = (req, res, next) => validateLineParams(req, res, () => {
+    req.lineId = req.validated.params.id;
+    next();
+});
+
+/**
+ * Middleware resolving (invoiceNo, stockCode) from the path to a single line id in `req.lineId`.
+ * The pair isn't unique, so when several lines match the request is refused with their ids
+ * rather than acting on an arbitrary one.
+ */
+const resolveLineKey = (req, res, next) => validateKeyParams(req, res, async () => {
+    try {
+        const { invoiceNo, stockCode } = req.validated.params;
+
+        const lines = await db.select({ id: salesData.id })
+            .from(salesData)
+            .where(
+                and(
+                    eq(salesData.invoiceNo, invoiceNo),
+                    eq(salesData.stockCode, stockCode),
+                    isActive
+                )
+            )
+            .orderBy(asc(salesData.id));
+
+        if (lines.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sales record not found'
+            });
+        }
+
+        if (lines.length > 1) {
+            return res.status(409).json({
+                success: false,
+                message: 'Several sales lines match this invoice number and stock code, use /api/sales/lines/{id}',
+                ids: lines.map(({ id }) => id)
+            });
+        }
+
+        req.lineId = lines[0].id;
+        next();
+    } catch (error) {
+        console.error('Error resolving sales record:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch sales record',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Builds the update for a sales line from a body validated against SalesDataUpdate,
+ * with only the provided fields. Returns null when nothing is provided.
+ */
+const buildLineUpdate = (body) => {
+    const updateData = {};
+
+    for (const field of Object.keys(SalesDataUpdate.properties)) {
+        if (body[field] !== undefined) updateData[field] = body[field];
+    }
+
+    if (updateData.invoiceDate !== undefined) updateData.invoiceDate = new Date(updateData.invoiceDate);
+    if (updateData.unitPrice !== undefined) updateData.unitPrice = updateData.unitPrice.toFixed(2);
+
+    return Object.keys(updateData).length > 0 ? updateData : null;
+};
+
+const getLine = async (req, res) => {
+    try {
+        const record = await db.select()
+            .from(salesData)
+            .where(and(eq(salesData.id, req.lineId), isActive));
+
+        if (record.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sales record not found'
+            });
+        }
+
+        // Cancellation lines also point back at the sale they reverse, when it can be found
+        if (isCancellationLine(record[0])) {
+            return res.json({
+                success: true,
+                data: record[0],
+                originalSale: await findOriginalSale(record[0])
+            });
+        }
+
+        res.json({
+            success: true,
+            data: record[0]
+        });
+    } catch (error) {
+        console.error('Error fetching sales record:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch sales record',
+            error: error.message
+        });
+    }
+};
+
+const updateLine = async (req, res) => {
+    try {
+        const updateData = buildLineUpdate(req.validated.body);
+
+        if (!updateData) {
+            return res.status(400).json({
+                success: false,
+                message: 'No fields provided for update'
+            });
+        }
+
+        const updated = await updateSalesLine(req.lineId, updateData, auditActor(req));
+
+        if (!updated) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sales record not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Sales record updated successfully',
+            data: updated
+        });
+    } catch (error) {
+        console.error('Error updating sales record:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update sales record',
+            error: error.message
+        });
+    }
+};
+
+const deleteLine = async (req, res) => {
+    try {
+        const deleted = await deleteSalesLine(req.lineId, auditActor(req));
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sales record not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Sales record moved to the trash',
+            data: deleted
+        });
+    } catch (error) {
+        console.error('Error deleting sales record:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete sales record',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /api/sales/lines/{id}:
+ *   get:
+ *     summary: Get a sales line by its id
+ *     description: |
+ *       For cancellation lines (invoice numbers starting with "C") the response also includes
+ *       `originalSale`, as for the invoice number and stock code route.
+ *     tags: [Sales]
+ *     parameters:
+ *       - $ref: '#/components/parameters/SalesLineParams.id'
+ *     responses:
+ *       200:
+ *         description: Sales record found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/SalesData'
+ *                 originalSale:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/SalesData'
+ *                   nullable: true
+ *                   description: Only present for cancellation lines
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Sales record not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update a sales line by its id
+ *     tags: [Sales]
+ *     parameters:
+ *       - $ref: '#/components/parameters/SalesLineParams.id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SalesDataUpdate'
+ *     responses:
+ *       200:
+ *         description: Sales record updated successfully
+ *       400:
+ *         description: Invalid id or input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Sales record not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a sales line by its id
+ *     description: |
+ *       Moves the line to the trash: it disappears from every other route but can be restored
+ *       until the trash is purged.
+ *     tags: [Sales]
+ *     parameters:
+ *       - $ref: '#/components/parameters/SalesLineParams.id'
+ *     responses:
+ *       200:
+ *         description: Sales record moved to the trash
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Sales record not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/lines/:id', parseLineId, getLine);
+router.put('/lines/:id', parseLineId, validateLineUpdate, updateLine);
+router.delete('/lines/:id', parseLineId, deleteLine);
+
+/**
+ * @swagger
+ * /api/sales/lines/{id}/history:
+ *   get:
+ *     summary: Get the change history of a sales line
+ *     description: |
+ *       Every create, update, delete, restore, revert and purge of the line, newest first, with the
+ *       line before and after the change and the API key that made it. Purged lines keep their history.
+ *     tags: [Sales]
+ *     parameters:
+ *       - $ref: '#/components/parameters/SalesLineParams.id'
+ *     responses:
+ *       200:
+ *         description: Change history, empty when the line has never existed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SalesAuditEntry'
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+router.get('/lines/:id/history', parseLineId, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await lineHistory(req.lineId)
+        });
+    } catch (error) {
+        console.error('Error fetching sales record history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch sales record history',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/sales/lines/{id}/restore:
+ *   post:
+ *     summary: Restore a sales line from the trash
+ *     description: The restore is recorded in the line's history.
+ *     tags: [Sales]
+ *     parameters:
+ *       - $ref: '#/components/parameters/SalesLineParams.id'
+ *     responses:
+ *       200:
+ *         description: Sales record restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/SalesData'
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: The line is not in the trash
+ *       500:
+ *         description: Server error
+ */
+router.post('/lines/:id/restore', parseLineId, async (req, res) => {
+    try {
+        const restored = await restoreSalesLine(req.lineId, auditActor(req));
+
+        if (!restored) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sales record not found in the trash'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Sales record restored successfully',
+            data: restored
+        });
+    } catch (error) {
+        console.error('Error restoring sales record:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to restore sales record',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/sales/lines/{id}/revert:
+ *   post:
+ *     summary: Revert a sales line to a previous version
+ *     description: |
+ *       Restores the line to its state right after the given history entry, including whether it
+ *       was in the trash. A purged line is re-created with its original id. The revert is itself
+ *       recorded in the history.
+ *     tags: [Sales]
+ *     parameters:
+ *       - $ref: '#/components/parameters/SalesLineParams.id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SalesRevertInput'
+ *     responses:
+ *       200:
+ *         description: Sales record reverted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/SalesData'
+ *       400:
+ *         description: Invalid id or version, or the version removed the line for good
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: The version is not in this line's history
+ *       500:
+ *         description: Server error
+ */
+router.post('/lines/:id/revert', parseLineId, validateRequest({ body: SalesRevertInput }), async (req, res) => {
+    try {
+        const { version } = req.validated.body;
+        const entry = await findAuditEntry(req.lineId, version);
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: `Version ${version} not found in the history of this sales record`
+            });
+        }
+
+        if (!entry.after) {
+            return res.status(400).json({
+                success: false,
+                message: `Version ${version} removed this sales record for good, revert to an earlier version`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Sales record reverted successfully',
+            data: await revertSalesLine(entry, auditActor(req))
+        });
+    } catch (error) {
+        console.error('Error reverting sales record:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revert sales record',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SalesBulkResult:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         message:
+ *           type: string
+ *         dryRun:
+ *           type: boolean
+ *         matched:
+ *           type: integer
+ *           description: Number of lines matching the filters
+ *         changed:
+ *           type: integer
+ *           description: Number of lines changed, absent on dry runs
+ *         confirmationRequired:
+ *           type: boolean
+ *           description: Whether the real run needs `confirm`
+ *         sample:
+ *           type: array
+ *           description: First matching lines by id, on dry runs only
+ *           items:
+ *             $ref: '#/components/schemas/SalesData'
+ */
+
+/**
+ * Runs a bulk change on the lines matching the filters: a dry run counts them and returns a
+ * sample, a real run checks the confirmation and calls apply(condition) to make the change.
+ */
+const runBulkChange = async (req, res, { verb, apply }) => {
+    const { dryRun, confirm } = req.validated.body;
+    const condition = whereClause(buildSalesConditions(req.filters));
+
+    const [{ matched }] = await db.select({ matched: count() })
+        .from(salesData)
+        .where(condition);
+    const confirmationRequired = matched > BULK_CONFIRM_THRESHOLD;
+
+    if (dryRun) {
+        const sample = await db.select()
+            .from(salesData)
+            .where(condition)
+            .orderBy(asc(salesData.id))
+            .limit(BULK_SAMPLE_SIZE);
+
+        return res.json({
+            success: true,
+            message: `${matched} sales records would be ${verb}`,
+            dryRun: true,
+            matched,
+            confirmationRequired,
+            sample
+        });
+    }
+
+    if (confirmationRequired && confirm !== matched) {
+        return res.status(409).json({
+            success: false,
+            message: confirm === undefined
+                ? `${matched} sales records match, more than ${BULK_CONFIRM_THRESHOLD}: send confirm: ${matched} to proceed`
+                : `${matched} sales records match, not ${confirm}: check the filters with a dry run`,
+            dryRun: false,
+            matched,
+            confirmationRequired
+        });
+    }
+
+    // Confirmed runs only go ahead if the number of matching lines is still the confirmed one
+    const changed = await apply(confirmationRequired
+        ? and(condition, sql`(select count(*) from ${salesData} where ${condition}) = ${confirm}`)
+        : condition);
+
+    if (confirmationRequired && changed === 0) {
+        return res.status(409).json({
+            success: false,
+            message: 'The number of matching sales records changed while confirming, check the filters with a dry run',
+            dryRun: false,
+            matched,
+            confirmationRequired
+        });
+    }
+
+    res.json({
+        success: true,
+        message: `${changed} sales records ${verb}`,
+        dryRun: false,
+        matched,
+        changed
+    });
+};
+
+/**
+ * @swagger
+ * /api/sales/bulk-update:
+ *   post:
+ *     summary: Update every sales line matching the filters
+ *     description: |
+ *       Applies the same changes to every line matching the filters of the sales list, e.g. to
+ *       fix a misspelt country or reprice a stock code over a period. The lines are updated
+ *       together in one statement: either all of them change or none does.
+ *
+ *       With `dryRun` nothing is changed: the response gives the number of matching lines and a
+ *       sample of them. Above the confirmation threshold (BULK_CONFIRM_THRESHOLD, 100 lines by
+ *       default) the request must also send that number in `confirm`, and is refused if the
+ *       number of matching lines has changed since. Every line is recorded in its history.
+ *     tags: [Sales]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/CustomerId'
+ *       - $ref: '#/components/parameters/HasCustomer'
+ *       - $ref: '#/components/parameters/StockCode'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - $ref: '#/components/parameters/MinQuantity'
+ *       - $ref: '#/components/parameters/MaxQuantity'
+ *       - $ref: '#/components/parameters/MinPrice'
+ *       - $ref: '#/components/parameters/MaxPrice'
+ *       - $ref: '#/components/parameters/MinLineTotal'
+ *       - $ref: '#/components/parameters/MaxLineTotal'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/Search'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SalesBulkUpdateInput'
+ *     responses:
+ *       200:
+ *         description: Dry run result, or the number of updated lines
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SalesBulkResult'
+ *       400:
+ *         description: Invalid filters or input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         description: Confirmation missing, or the number of matching lines differs from `confirm`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SalesBulkResult'
+ *       500:
+ *         description: Server error
+ */
+router.post('/bulk-update', validateSalesFilters, validateRequest({ body: SalesBulkUpdateInput }), async (req, res) => {
+    try {
+        const changes = buildLineUpdate(req.validated.body.changes);
+
+        if (!changes) {
+            return res.status(400).json({
+                success: false,
+                message: 'No fields provided for update'
+            });
+        }
+
+        await runBulkChange(req, res, {
+            verb: 'updated',
+            apply: (condition) => bulkUpdateSalesLines(condition, changes, auditActor(req))
+        });
+    } catch (error) {
+        console.error('Error bulk updating sales records:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update sales records',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/sales/bulk-delete:
+ *   post:
+ *     summary: Delete every sales line matching the filters
+ *     description: |
+ *       Moves every line matching the filters of the sales list to the trash, in one statement.
+ *       They can be restored one by one from the trash.
+ *
+ *       With `dryRun` nothing is changed: the response gives the number of matching lines and a
+ *       sample of them. Above the confirmation threshold (BULK_CONFIRM_THRESHOLD, 100 lines by
+ *       default) the request must also send that number in `confirm`, and is refused if the
+ *       number of matching lines has changed since. Every line is recorded in its history.
+ *     tags: [Sales]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/CustomerId'
+ *       - $ref: '#/components/parameters/HasCustomer'
+ *       - $ref: '#/components/parameters/StockCode'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - $ref: '#/components/parameters/MinQuantity'
+ *       - $ref: '#/components/parameters/MaxQuantity'
+ *       - $ref: '#/components/parameters/MinPrice'
+ *       - $ref: '#/components/parameters/MaxPrice'
+ *       - $ref: '#/components/parameters/MinLineTotal'
+ *       - $ref: '#/components/parameters/MaxLineTotal'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/Search'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/SalesData'
+ *             $ref: '#/components/schemas/SalesBulkDeleteInput'
  *     responses:
  *       200:
- *         description: Sales record updated successfully
- *       404:
- *         description: Sales record not found
+ *         description: Dry run result, or the number of deleted lines
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SalesBulkResult'
  *       400:
- *         description: Invalid input data
+ *         description: Invalid filters or input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         description: Confirmation missing, or the number of matching lines differs from `confirm`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SalesBulkResult'
  *       500:
  *         description: Server error
  */
-router.put('/:invoiceNo/:stockCode', async (req, res) => {
+router.post('/bulk-delete', validateSalesFilters, validateRequest({ body: SalesBulkDeleteInput }), async (req, res) => {
     try {
-        const { invoiceNo, stockCode } = req.params;
-        const {
-            description,
-            quantity,
-            invoiceDate,
-            unitPrice,
-            customerId,
-            country
-        } = req.body;
-
-        // Build update object with only provided fields
-        const updateData = {};
-        
-        if (description !== undefined) updateData.description = description;
-        if (quantity !== undefined) {
-            if (isNaN(quantity)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Quantity must be a number'
-                });
-            }
-            updateData.quantity = parseInt(quantity);
-        }
-        if (invoiceDate !== undefined) updateData.invoiceDate = new Date(invoiceDate);
-        if (unitPrice !== undefined) {
-            if (isNaN(parseFloat(unitPrice))) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Unit price must be a number'
-                });
-            }
-            updateData.unitPrice = parseFloat(unitPrice).toFixed(2);
-        }
-        if (customerId !== undefined) updateData.customerId = customerId ? parseInt(customerId) : null;
-        if (country !== undefined) updateData.country = country;
-
-        if (Object.keys(updateData).length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'No fields provided for update'
-            });
-        }
-
-        const result = await db.update(salesData)
-            .set(updateData)
-            .where(
-                and(
-                    eq(salesData.invoiceNo, invoiceNo),
-                    eq(salesData.stockCode, stockCode)
-                )
-            )
-            .returning();
-
-        if (result.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Sales record not found'
-            });
-        }
-
-        res.json({
-            success: true,
-            message: 'Sales record updated successfully',
-            data: result[0]
+        await runBulkChange(req, res, {
+            verb: 'deleted',
+            apply: (condition) => bulkDeleteSalesLines(condition, auditActor(req))
         });
     } catch (error) {
-        console.error('Error updating sales record:', error);
+        console.error('Error bulk deleting sales records:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to update sales record',
+            message: 'Failed to delete sales records',
             error: error.message
         });
     }
@@ -682,60 +1423,103 @@ router.put('/:invoiceNo/:stockCode', async (req, res) => {
 /**
  * @swagger
  * /api/sales/{invoiceNo}/{stockCode}:
- *   delete:
- *     summary: Delete a sales record
+ *   get:
+ *     summary: Get a specific sales record by invoice number and stock code
+ *     description: |
+ *       For cancellation lines (invoice numbers starting with "C") the response also includes
+ *       `originalSale`: the latest earlier sale of the same stock code to the same customer for at
+ *       least the cancelled quantity, or null when no such sale exists.
  *     tags: [Sales]
  *     parameters:
- *       - in: path
- *         name: invoiceNo
- *         required: true
- *         schema:
- *           type: string
- *         description: Invoice number
- *       - in: path
- *         name: stockCode
- *         required: true
- *         schema:
- *           type: string
- *         description: Stock code
+ *       - $ref: '#/components/parameters/SalesKeyParams.invoiceNo'
+ *       - $ref: '#/components/parameters/SalesKeyParams.stockCode'
  *     responses:
  *       200:
- *         description: Sales record deleted successfully
+ *         description: Sales record found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/SalesData'
+ *                 originalSale:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/SalesData'
+ *                   nullable: true
+ *                   description: Only present for cancellation lines
  *       404:
  *         description: Sales record not found
+ *       409:
+ *         description: Several lines match; their ids are returned for use with /api/sales/lines/{id}
  *       500:
  *         description: Server error
  */
-router.delete('/:invoiceNo/:stockCode', async (req, res) => {
-    try {
-        const { invoiceNo, stockCode } = req.params;
+router.get('/:invoiceNo/:stockCode', resolveLineKey, getLine);
 
-        const result = await db.delete(salesData)
-            .where(
-                and(
-                    eq(salesData.invoiceNo, invoiceNo),
-                    eq(salesData.stockCode, stockCode)
-                )
-            )
-            .returning();
+/**
+ * @swagger
+ * /api/sales:
+ *   post:
+ *     summary: Create a new sales record
+ *     description: |
+ *       Lines are not checked for duplicates: an invoice may hold several lines with the same stock
+ *       code, as the original dataset does, and each line gets its own id.
+ *     tags: [Sales]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SalesDataInput'
+ *     responses:
+ *       201:
+ *         description: Sales record created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/SalesData'
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+// No unique constraint on (invoiceNo, stockCode): the dataset has repeated lines, told apart by id
+router.post('/', async (req, res) => {
+    try {
+        const { record: newRecord, error, errors } = validateSalesRecord(req.body);
 
-        if (result.length === 0) {
-            return res.status(404).json({
+        if (error) {
+            return res.status(400).json({
                 success: false,
-                message: 'Sales record not found'
+                message: error,
+                errors
             });
         }
 
-        res.json({
+        const [created] = await insertSalesLines([newRecord], auditActor(req));
+
+        res.status(201).json({
             success: true,
-            message: 'Sales record deleted successfully',
-            data: result[0]
+            message: 'Sales record created successfully',
+            data: created
         });
     } catch (error) {
-        console.error('Error deleting sales record:', error);
+        console.error('Error creating sales record:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to delete sales record',
+            message: 'Failed to create sales record',
             error: error.message
         });
     }
@@ -743,31 +1527,43 @@ router.delete('/:invoiceNo/:stockCode', async (req, res) => {
 
 /**
  * @swagger
- * /api/sales/analytics/summary:
- *   get:
- *     summary: Get sales analytics summary
- *     tags: [Sales Analytics]
+ * /api/sales/import:
+ *   post:
+ *     summary: Bulk import sales records from CSV or NDJSON
+ *     description: |
+ *       Streams the request body and inserts valid rows in batches. Column headers may use the
+ *       original Online Retail names (InvoiceNo, StockCode, Description, Quantity, InvoiceDate,
+ *       UnitPrice, CustomerID, Country) or the API field names. Rows are validated with the same
+ *       rules as the single-record POST; invalid rows are skipped and reported with their line number.
+ *     tags: [Sales]
  *     parameters:
  *       - in: query
- *         name: startDate
- *         schema:
- *           type: string
- *           format: date
- *         description: Start date for analytics (YYYY-MM-DD)
- *       - in: query
- *         name: endDate
+ *         name: format
  *         schema:
  *           type: string
- *           format: date
- *         description: End date for analytics (YYYY-MM-DD)
+ *           enum: [csv, ndjson]
+ *         description: Input format (defaults to the request Content-Type)
  *       - in: query
- *         name: country
+ *         name: dryRun
  *         schema:
- *           type: string
- *         description: Filter by country
+ *           type: boolean
+ *           default: false
+ *         description: Only validate the rows, without inserting anything
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             InvoiceNo,StockCode,Description,Quantity,InvoiceDate,UnitPrice,CustomerID,Country
+ *             536365,85123A,WHITE HANGING HEART T-LIGHT HOLDER,6,12/1/2010 8:26,2.55,17850,United Kingdom
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
  *     responses:
  *       200:
- *         description: Sales analytics summary
+ *         description: Import report
  *         content:
  *           application/json:
  *             schema:
@@ -775,147 +1571,193 @@ router.delete('/:invoiceNo/:stockCode', async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
+ *                 dryRun:
+ *                   type: boolean
  *                 data:
  *                   type: object
  *                   properties:
- *                     totalSales:
- *                       type: number
- *                     totalQuantity:
+ *                     totalRows:
  *                       type: integer
- *                     totalOrders:
+ *                     validRows:
  *                       type: integer
- *                     averageOrderValue:
- *                       type: number
+ *                     insertedRows:
+ *                       type: integer
+ *                     failedRows:
+ *                       type: integer
+ *                     errors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           line:
+ *                             type: integer
+ *                           error:
+ *                             type: string
+ *                     errorsTruncated:
+ *                       type: boolean
+ *       400:
+ *         description: Malformed input
+ *       415:
+ *         description: Unsupported import format
  *       500:
  *         description: Server error
  */
-router.get('/analytics/summary', async (req, res) => {
-    try {
-        const { startDate, endDate, country } = req.query;
-        
-        // Build where conditions
-        const conditions = [];
-        
-        if (startDate) {
-            conditions.push(gte(salesData.invoiceDate, new Date(startDate)));
+router.post('/import', async (req, res) => {
+    const format = detectImportFormat(req);
+
+    if (!format) {
+        return res.status(415).json({
+            success: false,
+            message: 'Unsupported import format. Send text/csv or application/x-ndjson, or set format=csv|ndjson'
+        });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const actor = auditActor(req);
+    const report = {
+        totalRows: 0,
+        validRows: 0,
+        insertedRows: 0,
+        failedRows: 0,
+        errors: [],
+        errorsTruncated: false
+    };
+
+    const addError = (line, error) => {
+        report.failedRows++;
+
+        if (report.errors.length < IMPORT_MAX_REPORTED_ERRORS) {
+            report.errors.push({ line, error });
+        } else {
+            report.errorsTruncated = true;
         }
-        
-        if (endDate) {
-            conditions.push(lte(salesData.invoiceDate, new Date(endDate)));
+    };
+
+    let batch = [];
+
+    const flush = async () => {
+        if (batch.length === 0) return;
+
+        const rows = batch;
+        batch = [];
+
+        try {
+            await insertSalesLines(rows.map(({ record }) => record), actor);
+            report.insertedRows += rows.length;
+            return;
+        } catch (error) {
+            console.error('Error inserting import batch, retrying row by row:', error.message);
         }
-        
-        if (country) {
-            conditions.push(eq(salesData.country, country));
+
+        // One bad row fails the whole batch, so retry individually to pin down the culprits
+        for (const { line, record } of rows) {
+            try {
+                await insertSalesLines([record], actor);
+                report.insertedRows++;
+            } catch (error) {
+                addError(line, `Insert failed: ${error.cause?.message ?? error.message}`);
+            }
         }
+    };
 
-        const result = await db.select({
-            totalSales: sum(sql`${salesData.quantity} * ${salesData.unitPrice}`),
-            totalQuantity: sum(salesData.quantity),
-            totalOrders: count(),
-            averageOrderValue: sql`AVG(${salesData.quantity} * ${salesData.unitPrice})`
-        })
-        .from(salesData)
-        .where(conditions.length > 0 ? and(...conditions) : undefined);
+    try {
+        for await (const { line, row, error: parseError } of readImportRows(req, format)) {
+            report.totalRows++;
+
+            if (parseError) {
+                addError(line, parseError);
+                continue;
+            }
+
+            const { record, error } = validateSalesRecord(mapImportRow(row), { coerce: format === 'csv' });
+
+            if (error) {
+                addError(line, error);
+                continue;
+            }
+
+            report.validRows++;
+
+            if (!dryRun) {
+                batch.push({ line, record });
+
+                if (batch.length >= IMPORT_BATCH_SIZE) {
+                    await flush();
+                }
+            }
+        }
+
+        await flush();
 
-        const summary = result[0];
-        
         res.json({
             success: true,
-            data: {
-                totalSales: parseFloat(summary.totalSales || 0),
-                totalQuantity: parseInt(summary.totalQuantity || 0),
-                totalOrders: parseInt(summary.totalOrders || 0),
-                averageOrderValue: parseFloat(summary.averageOrderValue || 0)
-            }
+            dryRun,
+            data: report
         });
     } catch (error) {
-        console.error('Error fetching sales analytics:', error);
-        res.status(500).json({
+        console.error('Error importing sales records:', error);
+        res.status(400).json({
             success: false,
-            message: 'Failed to fetch sales analytics',
-            error: error.message
+            dryRun,
+            message: 'Failed to read import data',
+            error: error.message,
+            data: report
         });
     }
 });
 
 /**
  * @swagger
- * /api/sales/analytics/top-products:
- *   get:
- *     summary: Get top-selling products
- *     tags: [Sales Analytics]
+ * /api/sales/{invoiceNo}/{stockCode}:
+ *   put:
+ *     summary: Update a sales record
+ *     tags: [Sales]
  *     parameters:
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Number of top products to return
- *       - in: query
- *         name: startDate
- *         schema:
- *           type: string
- *           format: date
- *         description: Start date for analytics (YYYY-MM-DD)
- *       - in: query
- *         name: endDate
- *         schema:
- *           type: string
- *           format: date
- *         description: End date for analytics (YYYY-MM-DD)
+ *       - $ref: '#/components/parameters/SalesKeyParams.invoiceNo'
+ *       - $ref: '#/components/parameters/SalesKeyParams.stockCode'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SalesDataUpdate'
  *     responses:
  *       200:
- *         description: List of top-selling products
+ *         description: Sales record updated successfully
+ *       404:
+ *         description: Sales record not found
+ *       409:
+ *         description: Several lines match; their ids are returned for use with /api/sales/lines/{id}
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  *       500:
  *         description: Server error
  */
-router.get('/analytics/top-products', async (req, res) => {
-    try {
-        const { limit = 10, startDate, endDate } = req.query;
-        const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
-        
-        // Build where conditions
-        const conditions = [];
-        
-        if (startDate) {
-            conditions.push(gte(salesData.invoiceDate, new Date(startDate)));
-        }
-        
-        if (endDate) {
-            conditions.push(lte(salesData.invoiceDate, new Date(endDate)));
-        }
-
-        const result = await db.select({
-            stockCode: salesData.stockCode,
-            description: salesData.description,
-            totalQuantity: sum(salesData.quantity),
-            totalRevenue: sum(sql`${salesData.quantity} * ${salesData.unitPrice}`),
-            averagePrice: sql`AVG(${salesData.unitPrice})`
-        })
-        .from(salesData)
-        .where(conditions.length > 0 ? and(...conditions) : undefined)
-        .groupBy(salesData.stockCode, salesData.description)
-        .orderBy(desc(sum(salesData.quantity)))
-        .limit(limitNum);
+router.put('/:invoiceNo/:stockCode', validateLineUpdate, resolveLineKey, updateLine);
 
-        res.json({
-            success: true,
-            data: result.map(item => ({
-                stockCode: item.stockCode,
-                description: item.description,
-                totalQuantity: parseInt(item.totalQuantity),
-                totalRevenue: parseFloat(item.totalRevenue),
-                averagePrice: parseFloat(item.averagePrice)
-            }))
-        });
-    } catch (error) {
-        console.error('Error fetching top products:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to fetch top products',
-            error: error.message
-        });
-    }
-});
+/**
+ * @swagger
+ * /api/sales/{invoiceNo}/{stockCode}:
+ *   delete:
+ *     summary: Delete a sales record
+ *     tags: [Sales]
+ *     parameters:
+ *       - $ref: '#/components/parameters/SalesKeyParams.invoiceNo'
+ *       - $ref: '#/components/parameters/SalesKeyParams.stockCode'
+ *     responses:
+ *       200:
+ *         description: Sales record deleted successfully
+ *       404:
+ *         description: Sales record not found
+ *       409:
+ *         description: Several lines match; their ids are returned for use with /api/sales/lines/{id}
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:invoiceNo/:stockCode', resolveLineKey, deleteLine);
 
 export {router as salesRouter};
\ No newline at end of file
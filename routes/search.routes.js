@@ -0,0 +1,158 @@
+import {Router} from 'express';
+import { db } from '../config/db.js';
+import { salesData } from '../DB/schema.js';
+import { desc, asc, sql, count, getTableColumns } from 'drizzle-orm';
+import { buildSalesConditions, whereClause, validateSalesFilters } from '../utils/salesFilters.js';
+import { productCode, canonicalDescription } from '../utils/products.js';
+import { searchRank, searchSnippet } from '../utils/search.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import { SearchQuery } from '../schemas/search.schemas.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search products and sales lines by description
+ *     description: |
+ *       Matches descriptions containing the search words (PostgreSQL full-text search with English
+ *       stemming, so "holders" finds "HOLDER") or resembling them closely enough to catch
+ *       misspellings such as "lanturn" (pg_trgm word similarity). Results are ranked by relevance,
+ *       and snippets wrap the matching words in `<mark>` tags, or for a misspelled search the words
+ *       closest to it.
+ *
+ *       Products group the matching lines by normalized stock code. The sales filters narrow
+ *       down the lines that are searched.
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: Search text, e.g. heart holder
+ *       - $ref: '#/components/parameters/SearchQuery.limit'
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/CustomerId'
+ *       - $ref: '#/components/parameters/HasCustomer'
+ *       - $ref: '#/components/parameters/StockCode'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - $ref: '#/components/parameters/MinQuantity'
+ *       - $ref: '#/components/parameters/MaxQuantity'
+ *       - $ref: '#/components/parameters/MinPrice'
+ *       - $ref: '#/components/parameters/MaxPrice'
+ *       - $ref: '#/components/parameters/MinLineTotal'
+ *       - $ref: '#/components/parameters/MaxLineTotal'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *     responses:
+ *       200:
+ *         description: Matching products and sales lines, most relevant first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 query:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     products:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           stockCode:
+ *                             type: string
+ *                           description:
+ *                             type: string
+ *                           snippet:
+ *                             type: string
+ *                             example: "WHITE HANGING <mark>HEART</mark> T-LIGHT <mark>HOLDER</mark>"
+ *                           relevance:
+ *                             type: number
+ *                           lines:
+ *                             type: integer
+ *                             description: Number of matching sales lines
+ *                     lines:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/SalesData'
+ *                           - type: object
+ *                             properties:
+ *                               snippet:
+ *                                 type: string
+ *                               relevance:
+ *                                 type: number
+ *       400:
+ *         description: Missing search text or invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+router.get('/', validateSalesFilters, validateRequest({ query: SearchQuery }), async (req, res) => {
+    try {
+        const { q } = req.filters;
+        const { limit } = req.validated.query;
+
+        if (!q) {
+            return res.status(400).json({
+                success: false,
+                message: 'q is required'
+            });
+        }
+
+        const limitNum = Math.min(100, limit);
+        const conditions = buildSalesConditions(req.filters);
+        const relevance = searchRank(q);
+
+        const [products, lines] = await Promise.all([
+            db.select({
+                stockCode: sql`${productCode}`.mapWith(String),
+                description: sql`${canonicalDescription}`.mapWith(String),
+                snippet: sql`${searchSnippet(q, canonicalDescription)}`.mapWith(String),
+                relevance: sql`max(${relevance})`.mapWith(Number),
+                lines: count()
+            })
+            .from(salesData)
+            .where(whereClause(conditions))
+            .groupBy(productCode)
+            .orderBy(desc(sql`max(${relevance})`), desc(count()), asc(productCode))
+            .limit(limitNum),
+
+            db.select({
+                ...getTableColumns(salesData),
+                snippet: sql`${searchSnippet(q)}`.mapWith(String),
+                relevance: relevance.mapWith(Number)
+            })
+            .from(salesData)
+            .where(whereClause(conditions))
+            .orderBy(desc(relevance), desc(salesData.invoiceDate))
+            .limit(limitNum)
+        ]);
+
+        res.json({
+            success: true,
+            query: q,
+            data: { products, lines }
+        });
+    } catch (error) {
+        console.error('Error searching sales:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to search',
+            error: error.message
+        });
+    }
+});
+
+export {router as searchRouter};
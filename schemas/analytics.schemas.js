@@ -0,0 +1,96 @@
+// Query schemas for the analytics routes, on top of the sales filters (see validateSalesFilters)
+
+import { RFM_SEGMENT_NAMES } from '../utils/rfmSegments.js';
+
+const referenceDate = {
+    type: 'string',
+    description: 'Date to measure recency from, as YYYY-MM-DD or ISO 8601 (defaults to the day after the last invoice in range)'
+};
+
+export const TimeseriesQuery = {
+    type: 'object',
+    properties: {
+        granularity: { type: 'string', enum: ['hour', 'day', 'week', 'month'], default: 'day', description: 'Bucket size' }
+    }
+};
+
+export const RfmQuery = {
+    type: 'object',
+    properties: {
+        referenceDate,
+        segment: { type: 'string', enum: RFM_SEGMENT_NAMES, description: 'Only list customers in this segment' },
+        page: { type: 'integer', minimum: 1, default: 1, description: 'Page number' },
+        limit: { type: 'integer', minimum: 1, default: 50, description: 'Number of customers per page (capped at 1000)' }
+    }
+};
+
+export const RfmSegmentsQuery = {
+    type: 'object',
+    properties: { referenceDate }
+};
+
+export const CohortsQuery = {
+    type: 'object',
+    properties: {
+        mode: { type: 'string', enum: ['absolute', 'percentage'], default: 'absolute', description: 'Return absolute values or percentages' }
+    }
+};
+
+const minSupport = (fallback, of) => ({
+    type: 'number',
+    minimum: 0,
+    maximum: 1,
+    default: fallback,
+    description: `Minimum support (share of all baskets) for a ${of} to be included`
+});
+
+export const BasketQuery = {
+    type: 'object',
+    properties: {
+        limit: { type: 'integer', minimum: 1, default: 10, description: 'Number of products to return (capped at 100)' },
+        minSupport: minSupport(0, 'product'),
+        sortBy: { type: 'string', enum: ['confidence', 'lift', 'support'], default: 'confidence', description: 'Metric to rank products by' }
+    }
+};
+
+export const BasketPairsQuery = {
+    type: 'object',
+    properties: {
+        limit: { type: 'integer', minimum: 1, default: 20, description: 'Number of pairs to return (capped at 100)' },
+        minSupport: minSupport(0.01, 'pair')
+    }
+};
+
+export const ReturnsQuery = {
+    type: 'object',
+    properties: {
+        groupBy: { type: 'string', enum: ['product', 'customer', 'country'], default: 'product', description: 'Dimension to report on' },
+        sortBy: { type: 'string', enum: ['returnedValue', 'returnedQuantity', 'returnRate'], default: 'returnedValue', description: 'Metric to rank groups by' },
+        limit: { type: 'integer', minimum: 1, default: 20, description: 'Number of groups to return (capped at 100)' }
+    }
+};
+
+export const TopProductsQuery = {
+    type: 'object',
+    properties: {
+        limit: { type: 'integer', minimum: 1, default: 10, description: 'Number of top products to return (capped at 100)' }
+    }
+};
+
+const compareDate = (bound, other) => ({
+    type: 'string',
+    format: 'date',
+    description: `${bound} date of the comparison period (YYYY-MM-DD), required with ${other}`
+});
+
+export const CountriesQuery = {
+    type: 'object',
+    properties: {
+        compareStartDate: compareDate('Start', 'compareEndDate'),
+        compareEndDate: compareDate('End', 'compareStartDate')
+    },
+    dependencies: {
+        compareStartDate: ['compareEndDate'],
+        compareEndDate: ['compareStartDate']
+    }
+};
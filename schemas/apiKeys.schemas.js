@@ -0,0 +1,39 @@
+// Roles in increasing order of access; a role can do everything the roles before it can
+export const API_KEY_ROLES = ['read', 'write', 'admin'];
+
+const role = {
+    type: 'string',
+    enum: API_KEY_ROLES,
+    description: 'read: GET requests only; write: also creates, updates and deletes; admin: also manages API keys'
+};
+
+export const ApiKey = {
+    type: 'object',
+    properties: {
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        keyPrefix: { type: 'string', description: 'First characters of the key, to recognise it' },
+        role,
+        createdAt: { type: 'string', format: 'date-time' },
+        lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+        revokedAt: { type: 'string', format: 'date-time', nullable: true }
+    }
+};
+
+export const ApiKeyInput = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100, description: 'What or who the key is for' },
+        role: { ...role, default: 'read' }
+    },
+    example: { name: 'Reporting dashboard', role: 'read' }
+};
+
+export const ApiKeyParams = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: { type: 'integer', minimum: 1, description: 'API key id' }
+    }
+};
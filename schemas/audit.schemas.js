@@ -0,0 +1,44 @@
+export const SalesAuditEntry = {
+    type: 'object',
+    properties: {
+        id: { type: 'integer', description: 'Audit entry id, also the version number to revert to' },
+        lineId: { type: 'integer' },
+        action: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'revert', 'purge'] },
+        before: {
+            allOf: [{ $ref: '#/components/schemas/SalesData' }],
+            nullable: true,
+            description: 'The line before the change, null for creates'
+        },
+        after: {
+            allOf: [{ $ref: '#/components/schemas/SalesData' }],
+            nullable: true,
+            description: 'The line after the change, null when it was purged (or deleted before the trash existed)'
+        },
+        changedFields: {
+            type: 'array',
+            items: { type: 'string' },
+            nullable: true,
+            description: 'Fields that differ between before and after, null for creates and purges'
+        },
+        revertOf: { type: 'integer', nullable: true, description: 'For reverts, the entry whose state was restored' },
+        changedAt: { type: 'string', format: 'date-time' },
+        actor: {
+            type: 'object',
+            description: 'Who made the change',
+            properties: {
+                apiKeyId: { type: 'integer', nullable: true },
+                apiKeyName: { type: 'string', nullable: true },
+                clientIp: { type: 'string', nullable: true }
+            }
+        }
+    }
+};
+
+export const SalesRevertInput = {
+    type: 'object',
+    required: ['version'],
+    properties: {
+        version: { type: 'integer', minimum: 1, description: 'Id of the audit entry whose resulting state the line is restored to' }
+    },
+    example: { version: 42 }
+};
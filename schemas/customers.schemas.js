@@ -0,0 +1,19 @@
+// Query and path schemas for the customer routes, on top of the sales filters (see validateSalesFilters)
+
+export const CustomerListQuery = {
+    type: 'object',
+    properties: {
+        page: { type: 'integer', minimum: 1, default: 1, description: 'Page number' },
+        limit: { type: 'integer', minimum: 1, default: 50, description: 'Number of customers per page (capped at 1000)' },
+        sortBy: { type: 'string', enum: ['lifetimeValue', 'orders', 'lastPurchase', 'customerId'], default: 'lifetimeValue', description: 'Sort field' },
+        sortOrder: { type: 'string', enum: ['asc', 'desc'], default: 'desc', description: 'Sort order' }
+    }
+};
+
+export const CustomerParams = {
+    type: 'object',
+    required: ['customerId'],
+    properties: {
+        customerId: { type: 'integer', minimum: 1, maximum: 2147483647, description: 'Customer ID' }
+    }
+};
@@ -0,0 +1,19 @@
+export const ValidationError = {
+    type: 'object',
+    description: 'Returned with status 400 when the request does not match its schema',
+    properties: {
+        success: { type: 'boolean', example: false },
+        message: { type: 'string', description: 'All field errors joined into one message', example: 'quantity must be integer' },
+        errors: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    in: { type: 'string', enum: ['params', 'query', 'body'], description: 'Part of the request holding the field' },
+                    field: { type: 'string', description: 'Path to the field, e.g. lines.0.quantity', example: 'quantity' },
+                    message: { type: 'string', example: 'must be integer' }
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,77 @@
+import {
+    SalesData,
+    SalesDataInput,
+    SalesDataUpdate,
+    SalesLineParams,
+    SalesKeyParams,
+    SalesListQuery,
+    SalesTrashQuery,
+    SalesPurgeQuery,
+    SalesBulkUpdateInput,
+    SalesBulkDeleteInput
+} from './sales.schemas.js';
+import { InvoiceLine, Invoice, InvoiceInput } from './invoices.schemas.js';
+import { ValidationError } from './errors.schemas.js';
+import { ApiKey, ApiKeyInput, ApiKeyParams } from './apiKeys.schemas.js';
+import { SalesAuditEntry, SalesRevertInput } from './audit.schemas.js';
+import { ProductListQuery } from './products.schemas.js';
+import { CustomerListQuery, CustomerParams } from './customers.schemas.js';
+import { SearchQuery } from './search.schemas.js';
+import { TimeseriesQuery, RfmQuery, RfmSegmentsQuery, CohortsQuery, BasketQuery, BasketPairsQuery, ReturnsQuery, TopProductsQuery, CountriesQuery } from './analytics.schemas.js';
+
+/**
+ * Turns a query or path schema into OpenAPI parameter components named "<Schema>.<property>",
+ * so route docs can reference each parameter the request is validated against.
+ */
+const toParameters = (schemaName, schema, location) => Object.fromEntries(
+    Object.entries(schema.properties).map(([name, { description, ...propertySchema }]) => [
+        `${schemaName}.${name}`,
+        {
+            in: location,
+            name,
+            required: location === 'path' || Boolean(schema.required?.includes(name)),
+            schema: propertySchema,
+            description
+        }
+    ])
+);
+
+// Components for the Swagger spec; route JSDoc refers to them with $ref
+export const openApiComponents = {
+    schemas: {
+        SalesData,
+        SalesDataInput,
+        SalesDataUpdate,
+        SalesBulkUpdateInput,
+        SalesBulkDeleteInput,
+        SalesAuditEntry,
+        SalesRevertInput,
+        InvoiceLine,
+        Invoice,
+        InvoiceInput,
+        ApiKey,
+        ApiKeyInput,
+        ValidationError
+    },
+    parameters: {
+        ...toParameters('SalesLineParams', SalesLineParams, 'path'),
+        ...toParameters('SalesKeyParams', SalesKeyParams, 'path'),
+        ...toParameters('SalesListQuery', SalesListQuery, 'query'),
+        ...toParameters('SalesTrashQuery', SalesTrashQuery, 'query'),
+        ...toParameters('SalesPurgeQuery', SalesPurgeQuery, 'query'),
+        ...toParameters('ProductListQuery', ProductListQuery, 'query'),
+        ...toParameters('CustomerListQuery', CustomerListQuery, 'query'),
+        ...toParameters('CustomerParams', CustomerParams, 'path'),
+        ...toParameters('SearchQuery', SearchQuery, 'query'),
+        ...toParameters('TimeseriesQuery', TimeseriesQuery, 'query'),
+        ...toParameters('RfmQuery', RfmQuery, 'query'),
+        ...toParameters('RfmSegmentsQuery', RfmSegmentsQuery, 'query'),
+        ...toParameters('CohortsQuery', CohortsQuery, 'query'),
+        ...toParameters('BasketQuery', BasketQuery, 'query'),
+        ...toParameters('BasketPairsQuery', BasketPairsQuery, 'query'),
+        ...toParameters('ReturnsQuery', ReturnsQuery, 'query'),
+        ...toParameters('TopProductsQuery', TopProductsQuery, 'query'),
+        ...toParameters('CountriesQuery', CountriesQuery, 'query'),
+        ...toParameters('ApiKeyParams', ApiKeyParams, 'path')
+    }
+};
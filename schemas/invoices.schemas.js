@@ -0,0 +1,52 @@
+import { pickFields } from './sales.schemas.js';
+
+export const MAX_INVOICE_LINES = 1000;
+
+export const InvoiceLine = {
+    type: 'object',
+    properties: {
+        id: { type: 'integer', description: 'Sales line id' },
+        ...pickFields(['stockCode', 'description', 'quantity', 'unitPrice']),
+        lineTotal: { type: 'number', description: 'quantity × unitPrice' }
+    }
+};
+
+export const Invoice = {
+    type: 'object',
+    properties: {
+        ...pickFields(['invoiceNo', 'invoiceDate', 'customerId', 'country']),
+        isCancellation: { type: 'boolean' },
+        lines: { type: 'array', items: { $ref: '#/components/schemas/InvoiceLine' } },
+        lineCount: { type: 'integer' },
+        totalQuantity: { type: 'integer' },
+        grandTotal: { type: 'number' }
+    }
+};
+
+export const InvoiceInput = {
+    type: 'object',
+    required: ['invoiceNo', 'invoiceDate', 'country', 'lines'],
+    properties: {
+        ...pickFields(['invoiceNo', 'invoiceDate', 'customerId', 'country']),
+        lines: {
+            type: 'array',
+            minItems: 1,
+            maxItems: MAX_INVOICE_LINES,
+            items: {
+                type: 'object',
+                required: ['stockCode', 'quantity', 'unitPrice'],
+                properties: pickFields(['stockCode', 'description', 'quantity', 'unitPrice'])
+            }
+        }
+    },
+    example: {
+        invoiceNo: '581588',
+        invoiceDate: '2011-12-09T12:49:00.000Z',
+        customerId: 12680,
+        country: 'France',
+        lines: [
+            { stockCode: '85123A', description: 'WHITE HANGING HEART T-LIGHT HOLDER', quantity: 6, unitPrice: 2.55 },
+            { stockCode: '71053', description: 'WHITE METAL LANTERN', quantity: 6, unitPrice: 3.39 }
+        ]
+    }
+};
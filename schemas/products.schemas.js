@@ -0,0 +1,11 @@
+// Query schemas for the product routes, on top of the sales filters (see validateSalesFilters)
+
+export const ProductListQuery = {
+    type: 'object',
+    properties: {
+        page: { type: 'integer', minimum: 1, default: 1, description: 'Page number' },
+        limit: { type: 'integer', minimum: 1, default: 50, description: 'Number of products per page (capped at 1000)' },
+        sortBy: { type: 'string', enum: ['revenue', 'quantity', 'lastSold', 'stockCode'], default: 'revenue', description: 'Sort field' },
+        sortOrder: { type: 'string', enum: ['asc', 'desc'], default: 'desc', description: 'Sort order' }
+    }
+};
@@ -0,0 +1,123 @@
+// Request and response schemas for sales lines. They are OpenAPI 3.0 schema objects, used both
+// to validate requests (utils/requestValidation.js) and as the components of the Swagger spec.
+
+const salesFields = {
+    invoiceNo: { type: 'string', minLength: 1, maxLength: 20, description: 'Invoice number' },
+    stockCode: { type: 'string', minLength: 1, maxLength: 20, description: 'Product stock code' },
+    description: { type: 'string', maxLength: 255, nullable: true, description: 'Product description' },
+    quantity: { type: 'integer', minimum: -2147483648, maximum: 2147483647, description: 'Quantity sold, negative for cancellations' },
+    invoiceDate: {
+        type: 'string',
+        anyOf: [{ format: 'date-time' }, { format: 'date' }],
+        description: 'Date and time of invoice; a date alone is read as midnight UTC'
+    },
+    unitPrice: { type: 'number', minimum: -99999999.99, maximum: 99999999.99, description: 'Unit price of the product' },
+    customerId: { type: 'integer', minimum: 1, nullable: true, description: 'Customer ID (nullable)' },
+    country: { type: 'string', minLength: 1, maxLength: 100, description: 'Country of sale' }
+};
+
+const salesExample = {
+    invoiceNo: '536365',
+    stockCode: '85123A',
+    description: 'WHITE HANGING HEART T-LIGHT HOLDER',
+    quantity: 6,
+    invoiceDate: '2010-12-01T08:26:00.000Z',
+    unitPrice: 2.55,
+    customerId: 17850,
+    country: 'United Kingdom'
+};
+
+const REQUIRED_FIELDS = ['invoiceNo', 'stockCode', 'quantity', 'invoiceDate', 'unitPrice', 'country'];
+
+// Fields that can be changed on an existing line; invoiceNo and stockCode identify it
+const UPDATABLE_FIELDS = ['description', 'quantity', 'invoiceDate', 'unitPrice', 'customerId', 'country'];
+
+export const pickFields = (names) => Object.fromEntries(names.map((name) => [name, salesFields[name]]));
+
+export const SalesData = {
+    type: 'object',
+    required: ['id', ...REQUIRED_FIELDS],
+    properties: {
+        id: { type: 'integer', readOnly: true, description: 'Line id, assigned by the database' },
+        ...salesFields,
+        deletedAt: { type: 'string', format: 'date-time', nullable: true, readOnly: true, description: 'When the line was moved to the trash, null otherwise' }
+    },
+    example: { id: 1, ...salesExample, deletedAt: null }
+};
+
+export const SalesDataInput = {
+    type: 'object',
+    description: 'A new sales line. invoiceDate may also be given in the UCI "M/D/YYYY H:MM" format, read as UTC.',
+    required: REQUIRED_FIELDS,
+    properties: salesFields,
+    example: salesExample
+};
+
+export const SalesDataUpdate = {
+    type: 'object',
+    description: 'Fields to change on a sales line; fields left out keep their value. At least one is required.',
+    properties: pickFields(UPDATABLE_FIELDS),
+    example: { quantity: 12, unitPrice: 2.95 }
+};
+
+export const SalesLineParams = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: { type: 'integer', minimum: 1, description: 'Sales line id' }
+    }
+};
+
+export const SalesKeyParams = {
+    type: 'object',
+    required: ['invoiceNo', 'stockCode'],
+    properties: pickFields(['invoiceNo', 'stockCode'])
+};
+
+export const SalesListQuery = {
+    type: 'object',
+    properties: {
+        page: { type: 'integer', minimum: 1, default: 1, description: 'Page number for offset pagination (ignored when a cursor is given)' },
+        limit: { type: 'integer', minimum: 1, default: 50, description: 'Number of records per page (capped at 1000)' },
+        cursor: { type: 'string', description: 'Opaque cursor from a previous response, or empty to start keyset pagination' },
+        includeTotal: { type: 'boolean', default: false, description: 'Also count the matching records when paginating by cursor' },
+        sortBy: { type: 'string', enum: ['id', ...Object.keys(salesFields)], default: 'invoiceDate', description: 'Sort field' },
+        sortOrder: { type: 'string', enum: ['asc', 'desc'], default: 'desc', description: 'Sort order' }
+    }
+};
+
+export const SalesTrashQuery = {
+    type: 'object',
+    properties: {
+        page: { type: 'integer', minimum: 1, default: 1, description: 'Page number' },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 50, description: 'Number of records per page' }
+    }
+};
+
+export const SalesPurgeQuery = {
+    type: 'object',
+    properties: {
+        olderThanDays: { type: 'integer', minimum: 0, description: 'Purge lines trashed more than this many days ago (defaults to the retention period)' }
+    }
+};
+
+const bulkOptions = {
+    dryRun: { type: 'boolean', default: false, description: 'Only count the matching lines and return a sample of them, without changing anything' },
+    confirm: { type: 'integer', minimum: 0, description: 'Number of matching lines, as returned by a dry run; required when it is above the confirmation threshold' }
+};
+
+export const SalesBulkUpdateInput = {
+    type: 'object',
+    required: ['changes'],
+    properties: {
+        changes: SalesDataUpdate,
+        ...bulkOptions
+    },
+    example: { changes: { country: 'United Kingdom' }, dryRun: true }
+};
+
+export const SalesBulkDeleteInput = {
+    type: 'object',
+    properties: bulkOptions,
+    example: { dryRun: true }
+};
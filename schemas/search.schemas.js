@@ -0,0 +1,8 @@
+// Query schemas for the search route, on top of the sales filters (see validateSalesFilters)
+
+export const SearchQuery = {
+    type: 'object',
+    properties: {
+        limit: { type: 'integer', minimum: 1, default: 10, description: 'Maximum number of products and of sales lines to return (capped at 100 each)' }
+    }
+};
@@ -0,0 +1,66 @@
+// Manages API keys from the command line, e.g. to create the first admin key:
+//
+//   npm run api-keys -- create "Admin" admin
+//   npm run api-keys -- list
+//   npm run api-keys -- revoke 3
+
+import { validateData, describeErrors } from '../utils/requestValidation.js';
+import { ApiKeyInput, ApiKeyParams } from '../schemas/apiKeys.schemas.js';
+
+const USAGE = `Usage:
+  npm run api-keys -- create <name> [read|write|admin]
+  npm run api-keys -- list
+  npm run api-keys -- revoke <id>`;
+
+// The logged queries would print key hashes among the output; DB_LOG_QUERIES=true still turns them on
+process.env.DB_LOG_QUERIES ??= 'false';
+
+const { createApiKey, listApiKeys, revokeApiKey } = await import('../utils/apiKeys.js');
+
+const commands = {
+    create: async ([name, role]) => {
+        const { data, errors } = validateData(ApiKeyInput, { name, role });
+        if (errors) throw new Error(describeErrors(errors));
+
+        const { key, record } = await createApiKey(data);
+        console.log(`Created ${record.role} key #${record.id} "${record.name}":`);
+        console.log(key);
+        console.log('Store it now, it cannot be shown again.');
+    },
+
+    list: async () => {
+        console.table((await listApiKeys()).map(({ id, name, keyPrefix, role, createdAt, lastUsedAt, revokedAt }) => ({
+            id,
+            name,
+            key: `${keyPrefix}…`,
+            role,
+            created: createdAt.toISOString(),
+            lastUsed: lastUsedAt?.toISOString() ?? '',
+            revoked: revokedAt?.toISOString() ?? ''
+        })));
+    },
+
+    revoke: async ([id]) => {
+        const { data, errors } = validateData(ApiKeyParams, { id });
+        if (errors) throw new Error(describeErrors(errors));
+
+        const revoked = await revokeApiKey(data.id);
+        if (!revoked) throw new Error(`No active API key with id ${data.id}`);
+
+        console.log(`Revoked key #${revoked.id} "${revoked.name}"`);
+    }
+};
+
+const [command, ...args] = process.argv.slice(2);
+
+if (!Object.hasOwn(commands, command)) {
+    console.error(USAGE);
+    process.exitCode = 1;
+} else {
+    try {
+        await commands[command](args);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,63 @@
+// Fills the sales table with synthetic data (see utils/salesSeed.js), e.g. to work against a
+// local Postgres (DB_DRIVER=pg):
+//
+//   npm run seed -- --wipe
+//   npm run seed -- --wipe --seed 7 --invoices 10000 --start 2011-01-01 --end 2011-12-31
+//
+// A running server keeps its cached analytics until they expire, restart it to see the new data.
+
+import { parseArgs } from 'util';
+
+const USAGE = `Usage:
+  npm run seed -- [--wipe] [--seed <n>] [--invoices <n>] [--customers <n>] [--products <n>]
+                  [--start <YYYY-MM-DD>] [--end <YYYY-MM-DD>] [--cancellation-rate <0-1>]
+
+  --wipe  delete every sales line, audit entry and rollup first (needed when the table has data)`;
+
+// Logging every inserted batch would bury the output; DB_LOG_QUERIES=true still turns it on
+process.env.DB_LOG_QUERIES ??= 'false';
+
+const { seedSalesData, SEED_DEFAULTS } = await import('../utils/salesSeed.js');
+
+const numberOption = (value) => value === undefined ? undefined : Number(value);
+
+try {
+    const { values } = parseArgs({
+        options: {
+            wipe: { type: 'boolean', default: false },
+            seed: { type: 'string' },
+            invoices: { type: 'string' },
+            customers: { type: 'string' },
+            products: { type: 'string' },
+            start: { type: 'string' },
+            end: { type: 'string' },
+            'cancellation-rate': { type: 'string' },
+            help: { type: 'boolean', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+    } else {
+        const options = {
+            seed: numberOption(values.seed) ?? SEED_DEFAULTS.seed,
+            invoices: numberOption(values.invoices) ?? SEED_DEFAULTS.invoices,
+            customers: numberOption(values.customers),
+            products: numberOption(values.products) ?? SEED_DEFAULTS.products,
+            startDate: values.start ?? SEED_DEFAULTS.startDate,
+            endDate: values.end ?? SEED_DEFAULTS.endDate,
+            cancellationRate: numberOption(values['cancellation-rate']) ?? SEED_DEFAULTS.cancellationRate
+        };
+
+        const startedAt = Date.now();
+        const { lines, invoices, cancellations } = await seedSalesData(options, { wipe: values.wipe });
+
+        console.log(`Seeded ${lines} sales lines (${invoices} invoices, ${cancellations} cancellations) `
+            + `from ${options.startDate} to ${options.endDate} with seed ${options.seed} `
+            + `in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+    }
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    if (error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') console.error(USAGE);
+    process.exitCode = 1;
+}
@@ -2,6 +2,18 @@ import express from "express"
 import { configDotenv } from "dotenv"
 import cors from 'cors';
 import { salesRouter } from "./routes/sales.routes.js" // Corrected path based on your previous input
+import { analyticsRouter } from "./routes/analytics.routes.js"
+import { invoicesRouter } from "./routes/invoices.routes.js"
+import { productsRouter } from "./routes/products.routes.js"
+import { customersRouter } from "./routes/customers.routes.js"
+import { searchRouter } from "./routes/search.routes.js"
+import { apiKeysRouter } from "./routes/apiKeys.routes.js"
+import { rollupsRouter } from "./routes/rollups.routes.js"
+import { openApiComponents } from "./schemas/index.js"
+import { authenticateApiKey } from "./utils/apiKeys.js"
+import { ipRateLimit, rateLimits } from "./utils/rateLimit.js"
+import { analyticsCache } from "./utils/analyticsCache.js"
+import { trashPurgeJob, rollupRefreshJob } from "./config/cron.js"
 
 // Import Swagger packages
 import swaggerUi from 'swagger-ui-express'
@@ -12,6 +24,12 @@ configDotenv()
 const app = express()
 const PORT = process.env.PORT || 3000 // Provide a default port if not set in .env
 
+// Behind a proxy (e.g. on Render) set TRUST_PROXY to the number of proxies, so req.ip and the
+// per-IP rate limits use the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY)
+}
+
 app.use(express.json())
 app.use(cors());
 
@@ -24,7 +42,10 @@ const swaggerOptions = {
     info: {
       title: 'Machine Learning Repository Sales API',
       version: '1.0.0',
-      description: 'API for managing and analyzing sales data from a Machine Learning repository, optimized with PostgreSQL.',
+      description: 'API for managing and analyzing sales data from a Machine Learning repository, optimized with PostgreSQL. ' +
+        'Requests are rate limited per IP address and per API key, with a smaller budget for analytics, exports, products, customers, search and bulk changes; ' +
+        'the RateLimit-* response headers show what is left, and a 429 response says when to retry in Retry-After. ' +
+        'Analytics responses are cached until the data changes and carry an ETag: send it back in If-None-Match to get a 304 while they are unchanged.',
       contact: {
         name: 'GROUP 6', // Replace with your group info
         url: 'https://yourgithub.com/your-repo', // Replace with your GitHub link
@@ -46,44 +67,20 @@ const swaggerOptions = {
       //   description: 'Production Server (OCI)',
       // },
     ],
-    // The components section where your schemas are defined
+    // Schemas and parameters shared with request validation (see schemas/); route files add their own
     components: {
-      schemas: {
-        // This 'SalesData' schema definition MUST match the one you have in your sales.routes.js
-        // It's good practice to have this here as the central definition for Swagger.
-        SalesData: {
-          type: 'object',
-          required: [
-            'invoiceNo',
-            'stockCode',
-            'quantity',
-            'invoiceDate',
-            'unitPrice',
-            'country'
-          ],
-          properties: {
-            invoiceNo: { type: 'string', maxLength: 20, description: 'Invoice number' },
-            stockCode: { type: 'string', maxLength: 20, description: 'Product stock code' },
-            description: { type: 'string', maxLength: 255, description: 'Product description' },
-            quantity: { type: 'integer', description: 'Quantity sold' },
-            invoiceDate: { type: 'string', format: 'date-time', description: 'Date and time of invoice' },
-            unitPrice: { type: 'number', format: 'float', description: 'Unit price of the product' }, // Use 'float' or 'double' for format if applicable
-            customerId: { type: 'integer', nullable: true, description: 'Customer ID (nullable)' },
-            country: { type: 'string', maxLength: 100, description: 'Country of sale' }
-          },
-          example: { // An example object that conforms to the schema
-            invoiceNo: "536365",
-            stockCode: "85123A",
-            description: "WHITE HANGING HEART T-LIGHT HOLDER",
-            quantity: 6,
-            invoiceDate: "2010-12-01T08:26:00.000Z",
-            unitPrice: 2.55,
-            customerId: 17850,
-            country: "United Kingdom"
-          }
-        }
-      }
-    }
+      ...openApiComponents,
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Read keys can call GET endpoints, write keys can also create, update and delete, admin keys can also manage API keys, purge the trash and rebuild the rollups',
+        },
+      },
+    },
+    // Every endpoint needs a key; click "Authorize" to send one from this page
+    security: [{ ApiKeyAuth: [] }],
   },
   // Point to the files containing your JSDoc Swagger comments
   apis: ['./routes/*.routes.js'], // Adjust this path if your route files are elsewhere
@@ -95,15 +92,32 @@ app.get("/api/health", (req, res) => {
   res.status(200).json({ message: "Your API is Active" })
 })
 // Serve the Swagger UI at a specific endpoint
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs, { swaggerOptions: { persistAuthorization: true } })); // Keep the API key across page reloads
 
 // --- Swagger Setup End ---
 
 // Your application routes
+// Everything under /api is rate limited and needs an API key, except the health check registered above:
+// first per IP address, then per key once the key is known to be valid
+app.use("/api", ipRateLimit)
+app.use("/api", authenticateApiKey)
+app.use("/api", rateLimits)
+// Analytics responses (from both routers) are cached until the sales data changes
+app.use("/api/sales/analytics", analyticsCache)
+// Analytics must be mounted first, otherwise /api/sales/:invoiceNo/:stockCode swallows its paths
+app.use("/api/sales/analytics", analyticsRouter)
 app.use("/api/sales", salesRouter)
+app.use("/api/invoices", invoicesRouter)
+app.use("/api/products", productsRouter)
+app.use("/api/customers", customersRouter)
+app.use("/api/search", searchRouter)
+app.use("/api/admin/api-keys", apiKeysRouter)
+app.use("/api/admin/rollups", rollupsRouter)
 
 // Start the server
 app.listen(PORT, () => {
+  trashPurgeJob.start()
+  rollupRefreshJob.start()
   console.log(`Server running on http://localhost:${PORT}/`)
   console.log(`Swagger UI available at http://localhost:${PORT}/api-docs`) // Let the user know where to find it
   console.log(`Production Swagger UI available at https://deployed-api-advanceddb-group-6.onrender.com/api-docs`) // Let the user know where to find it
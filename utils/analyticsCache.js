@@ -0,0 +1,99 @@
+import { createHash } from 'crypto';
+import { createMemoryStore } from './analyticsCacheStore.js';
+
+// How long a cached response may be served; writes clear the cache sooner
+const TTL_MS = Number(process.env.ANALYTICS_CACHE_TTL_MS) || 5 * 60 * 1000;
+const MAX_ENTRIES = Number(process.env.ANALYTICS_CACHE_MAX_ENTRIES) || 500;
+
+// ANALYTICS_CACHE_STORE picks where responses are cached, or "none" to turn caching off
+const ANALYTICS_CACHE_STORES = {
+    memory: createMemoryStore,
+    none: () => null
+};
+
+const storeName = process.env.ANALYTICS_CACHE_STORE || 'memory';
+
+if (!Object.hasOwn(ANALYTICS_CACHE_STORES, storeName)) {
+    throw new Error(`Unknown ANALYTICS_CACHE_STORE "${storeName}", expected one of: ${Object.keys(ANALYTICS_CACHE_STORES).join(', ')}`);
+}
+
+const store = ANALYTICS_CACHE_STORES[storeName]({ ttlMs: TTL_MS, maxEntries: MAX_ENTRIES });
+
+// Bumped on every invalidation, so a response computed before a write is never cached after it
+let generation = 0;
+
+// Route plus query params sorted by name, so the same question asked in another order shares an entry
+const cacheKey = (req) => {
+    const query = Object.keys(req.query)
+        .sort()
+        .map((name) => `${name}=${[].concat(req.query[name]).join(',')}`)
+        .join('&');
+
+    return `${req.baseUrl}${req.path}?${query}`;
+};
+
+const etagOf = (payload) => `"${createHash('sha1').update(payload).digest('base64url')}"`;
+
+const sendCached = (req, res, { etag, payload }) => {
+    res.set({ ETag: etag, 'X-Cache': 'HIT' });
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    res.type('json').send(payload);
+};
+
+/**
+ * Middleware caching successful analytics responses. Clients get an ETag with every response
+ * and a 304 when they send it back in If-None-Match and the data hasn't changed.
+ */
+export const analyticsCache = async (req, res, next) => {
+    if (!store || !['GET', 'HEAD'].includes(req.method)) {
+        return next();
+    }
+
+    // Responses depend on the data, which another client may change at any time
+    res.set('Cache-Control', 'private, no-cache');
+
+    const key = cacheKey(req);
+    const startedAt = generation;
+
+    try {
+        const cached = await store.get(key);
+        if (cached) return sendCached(req, res, cached);
+    } catch (error) {
+        // A cache outage shouldn't take analytics down with it
+        console.error('Error reading the analytics cache:', error);
+    }
+
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+        const payload = JSON.stringify(body);
+        res.set({ ETag: etagOf(payload), 'X-Cache': 'MISS' });
+
+        if (res.statusCode === 200 && startedAt === generation) {
+            store.set(key, { etag: res.get('ETag'), payload })
+                .catch((error) => console.error('Error writing the analytics cache:', error));
+        }
+
+        return json(body);
+    };
+
+    next();
+};
+
+/**
+ * Drops every cached analytics response. Called after each write to the sales data.
+ */
+export const invalidateAnalyticsCache = async () => {
+    generation++;
+    if (!store) return;
+
+    try {
+        await store.clear();
+    } catch (error) {
+        console.error('Error clearing the analytics cache:', error);
+    }
+};
@@ -0,0 +1,38 @@
+/**
+ * Creates an in-memory store for the analytics cache, local to this server instance. Entries
+ * expire after ttlMs, and the oldest ones are evicted once there are more than maxEntries.
+ *
+ * A store has async get(key), set(key, entry) and clear(), so one backed by a shared service
+ * (e.g. Redis) can replace it without changing the cache middleware.
+ */
+export const createMemoryStore = ({ ttlMs, maxEntries }) => {
+    // Maps keep insertion order, so the first key is always the oldest entry
+    const entries = new Map();
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+
+            return entry.value;
+        },
+
+        async set(key, value) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+            if (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        async clear() {
+            entries.clear();
+        }
+    };
+};
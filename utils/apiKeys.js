@@ -0,0 +1,141 @@
+import { createHash, randomBytes } from 'crypto';
+import { and, asc, eq, isNull } from 'drizzle-orm';
+import { db } from '../config/db.js';
+import { apiKeys } from '../DB/schema.js';
+import { API_KEY_ROLES } from '../schemas/apiKeys.schemas.js';
+
+// Authenticated keys are kept this long before being looked up again, so a key revoked
+// from another server instance (or the CLI) can keep working for up to a minute there
+const KEY_CACHE_TTL_MS = 60 * 1000;
+const keyCache = new Map();
+
+// Everything but the hash
+const publicFields = {
+    id: apiKeys.id,
+    name: apiKeys.name,
+    keyPrefix: apiKeys.keyPrefix,
+    role: apiKeys.role,
+    createdAt: apiKeys.createdAt,
+    lastUsedAt: apiKeys.lastUsedAt,
+    revokedAt: apiKeys.revokedAt
+};
+
+export const hashApiKey = (key) => createHash('sha256').update(key).digest('hex');
+
+export const hasRole = (role, requiredRole) => API_KEY_ROLES.indexOf(role) >= API_KEY_ROLES.indexOf(requiredRole);
+
+/**
+ * Creates a key with the given name and role. Returns `{ key, record }`; the plain key is not
+ * stored anywhere, so this is the only time it can be shown.
+ */
+export const createApiKey = async ({ name, role }) => {
+    const key = `rk_${randomBytes(24).toString('base64url')}`;
+
+    const [record] = await db.insert(apiKeys)
+        .values({ name, role, keyPrefix: key.slice(0, 10), keyHash: hashApiKey(key) })
+        .returning(publicFields);
+
+    return { key, record };
+};
+
+export const listApiKeys = () => db.select(publicFields)
+    .from(apiKeys)
+    .orderBy(asc(apiKeys.id));
+
+/**
+ * Revokes a key. Returns the revoked key, or null when there is no active key with this id.
+ */
+export const revokeApiKey = async (id) => {
+    const [record] = await db.update(apiKeys)
+        .set({ revokedAt: new Date() })
+        .where(and(eq(apiKeys.id, id), isNull(apiKeys.revokedAt)))
+        .returning({ ...publicFields, keyHash: apiKeys.keyHash });
+
+    if (!record) return null;
+
+    const { keyHash, ...revoked } = record;
+    keyCache.delete(keyHash);
+    return revoked;
+};
+
+/**
+ * Looks up an active key by its plain value. Returns `{ id, name, role }` or null.
+ */
+const findApiKey = async (key) => {
+    const keyHash = hashApiKey(key);
+    const cached = keyCache.get(keyHash);
+
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.apiKey;
+    }
+
+    const [apiKey] = await db.select({ id: apiKeys.id, name: apiKeys.name, role: apiKeys.role })
+        .from(apiKeys)
+        .where(and(eq(apiKeys.keyHash, keyHash), isNull(apiKeys.revokedAt)));
+
+    if (!apiKey) {
+        keyCache.delete(keyHash);
+        return null;
+    }
+
+    // Unknown keys aren't cached, so requests with random keys can't fill the memory
+    keyCache.set(keyHash, { apiKey, expiresAt: Date.now() + KEY_CACHE_TTL_MS });
+
+    // Recorded once per cache period rather than on every request
+    db.update(apiKeys)
+        .set({ lastUsedAt: new Date() })
+        .where(eq(apiKeys.id, apiKey.id))
+        .catch((error) => console.error('Error recording API key use:', error));
+
+    return apiKey;
+};
+
+/**
+ * Middleware authenticating the X-API-Key header into `req.apiKey`. Reads (GET, HEAD) need a
+ * read key, anything else a write key; routes can ask for more with requireRole.
+ */
+export const authenticateApiKey = async (req, res, next) => {
+    try {
+        const key = req.get('X-API-Key');
+
+        if (!key) {
+            return res.status(401).json({
+                success: false,
+                message: 'API key required, send it in the X-API-Key header'
+            });
+        }
+
+        const apiKey = await findApiKey(key);
+
+        if (!apiKey) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or revoked API key'
+            });
+        }
+
+        req.apiKey = apiKey;
+        requireRole(['GET', 'HEAD'].includes(req.method) ? 'read' : 'write')(req, res, next);
+    } catch (error) {
+        console.error('Error authenticating API key:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to authenticate API key',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Middleware refusing requests whose API key (see authenticateApiKey) lacks the given role.
+ */
+export const requireRole = (role) => (req, res, next) => {
+    if (!req.apiKey || !hasRole(req.apiKey.role, role)) {
+        return res.status(403).json({
+            success: false,
+            message: `This endpoint needs an API key with the ${role} role`
+        });
+    }
+
+    next();
+};
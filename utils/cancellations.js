@@ -0,0 +1,34 @@
+import { eq, and, lte, gte, desc } from 'drizzle-orm';
+import { db } from '../config/db.js';
+import { salesData } from '../DB/schema.js';
+import { isSale, isActive } from './salesFilters.js';
+
+export const isCancellationLine = (line) => line.invoiceNo.startsWith('C');
+
+/**
+ * Finds the sale a cancellation line most likely reverses: the latest earlier sale of the same
+ * stock code to the same customer, for at least the cancelled quantity.
+ * Returns null when there is no such sale (or the cancellation has no customer to match on).
+ */
+export const findOriginalSale = async (line) => {
+    if (!isCancellationLine(line) || line.customerId === null) {
+        return null;
+    }
+
+    const [original] = await db.select()
+        .from(salesData)
+        .where(
+            and(
+                isSale,
+                isActive,
+                eq(salesData.stockCode, line.stockCode),
+                eq(salesData.customerId, line.customerId),
+                lte(salesData.invoiceDate, line.invoiceDate),
+                gte(salesData.quantity, Math.abs(line.quantity))
+            )
+        )
+        .orderBy(desc(salesData.invoiceDate))
+        .limit(1);
+
+    return original ?? null;
+};
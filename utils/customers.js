@@ -0,0 +1,39 @@
+import { sql } from 'drizzle-orm';
+import { salesData } from '../DB/schema.js';
+import { isSale, isCancellation } from './salesFilters.js';
+
+/**
+ * Aggregate columns describing a customer's orders, spend and purchase period.
+ * Orders and purchase dates count sales invoices only; lifetime value is net of returns.
+ */
+export const customerSummaryFields = {
+    customerId: salesData.customerId,
+    primaryCountry: sql`mode() within group (order by ${salesData.country})`.mapWith(String),
+    orderCount: sql`count(distinct ${salesData.invoiceNo}) filter (where ${isSale})`.mapWith(Number),
+    returnCount: sql`count(distinct ${salesData.invoiceNo}) filter (where ${isCancellation})`.mapWith(Number),
+    lifetimeValue: sql`coalesce(sum(${salesData.quantity} * ${salesData.unitPrice}), 0)`.mapWith(Number),
+    firstPurchase: sql`min(${salesData.invoiceDate}) filter (where ${isSale})`.mapWith(salesData.invoiceDate),
+    lastPurchase: sql`max(${salesData.invoiceDate}) filter (where ${isSale})`.mapWith(salesData.invoiceDate)
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Average basket (units and value per sales invoice) and the average number of days
+ * between consecutive sales invoices. Both are null when there are too few invoices.
+ */
+export const purchaseStats = (invoices) => {
+    const purchases = invoices
+        .filter(invoice => !invoice.isCancellation)
+        .sort((a, b) => a.invoiceDate - b.invoiceDate);
+
+    const averageBasket = purchases.length === 0 ? null : {
+        quantity: purchases.reduce((total, invoice) => total + invoice.totalQuantity, 0) / purchases.length,
+        value: purchases.reduce((total, invoice) => total + invoice.total, 0) / purchases.length
+    };
+
+    const averageDaysBetweenPurchases = purchases.length < 2 ? null :
+        (purchases.at(-1).invoiceDate - purchases[0].invoiceDate) / MS_PER_DAY / (purchases.length - 1);
+
+    return { averageBasket, averageDaysBetweenPurchases };
+};
@@ -0,0 +1,73 @@
+import { Transform } from 'stream';
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const ACCEPT_TYPES = {
+    'application/json': 'json',
+    'application/x-ndjson': 'ndjson',
+    'text/csv': 'csv'
+};
+
+/**
+ * Picks the export format from the `format` query param, falling back to the Accept header.
+ * Returns null when neither names a supported format.
+ */
+export const negotiateExportFormat = (req) => {
+    const { format } = req.query;
+
+    if (format) {
+        return Object.hasOwn(EXPORT_FORMATS, format) ? format : null;
+    }
+
+    const accepted = req.accepts(Object.keys(ACCEPT_TYPES));
+    return accepted ? ACCEPT_TYPES[accepted] : null;
+};
+
+const csvValue = (value) => {
+    if (value === null || value === undefined) return '';
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Creates a transform that turns row objects into the text of the given export format.
+ * CSV headers and JSON array brackets are written even when no rows match.
+ *
+ * @param format - One of the EXPORT_FORMATS keys
+ * @param fields - Field names to write, in column order (used for the CSV header)
+ */
+export const createExportFormatter = (format, fields) => {
+    let first = true;
+
+    const serializers = {
+        csv: (row) => fields.map((field) => csvValue(row[field])).join(',') + '\n',
+        ndjson: (row) => JSON.stringify(row) + '\n',
+        json: (row) => (first ? '' : ',\n') + JSON.stringify(row)
+    };
+
+    const openings = { csv: fields.join(',') + '\n', ndjson: '', json: '[\n' };
+    const closings = { csv: '', ndjson: '', json: '\n]\n' };
+
+    const serialize = serializers[format];
+
+    return new Transform({
+        writableObjectMode: true,
+        construct(callback) {
+            if (openings[format]) this.push(openings[format]);
+            callback();
+        },
+        transform(row, encoding, callback) {
+            const text = serialize(row);
+            first = false;
+            callback(null, text);
+        },
+        flush(callback) {
+            callback(null, closings[format] || null);
+        }
+    });
+};
@@ -0,0 +1,44 @@
+import { sql } from 'drizzle-orm';
+import { salesData } from '../DB/schema.js';
+import { isSale, productCode } from './salesFilters.js';
+
+// Product identity is defined next to the filters, which match stock codes the same way
+export { productCode, normalizeProductCode } from './salesFilters.js';
+
+/**
+ * Aggregate picking the description used most often for a product.
+ */
+export const canonicalDescription = sql`mode() within group (order by trim(${salesData.description}))`;
+
+// Sales lines only: cancellations and negative adjustments don't say what a product sells for
+const isPurchase = sql`${isSale} and ${salesData.quantity} > 0`;
+
+/**
+ * Aggregate columns describing a product's prices, sales period and totals.
+ * Prices and dates come from purchases; quantity and revenue are net of returns.
+ */
+export const productSummaryFields = {
+    stockCode: sql`${productCode}`.mapWith(String),
+    description: sql`${canonicalDescription}`.mapWith(String),
+    stockCodeVariants: sql`array_agg(distinct ${salesData.stockCode})`,
+    currentPrice: sql`(array_agg(${salesData.unitPrice} order by ${salesData.invoiceDate} desc) filter (where ${isPurchase}))[1]`.mapWith(Number),
+    minPrice: sql`min(${salesData.unitPrice}) filter (where ${isPurchase})`.mapWith(Number),
+    maxPrice: sql`max(${salesData.unitPrice}) filter (where ${isPurchase})`.mapWith(Number),
+    averagePrice: sql`avg(${salesData.unitPrice}) filter (where ${isPurchase})`.mapWith(Number),
+    firstSold: sql`min(${salesData.invoiceDate}) filter (where ${isPurchase})`.mapWith(salesData.invoiceDate),
+    lastSold: sql`max(${salesData.invoiceDate}) filter (where ${isPurchase})`.mapWith(salesData.invoiceDate),
+    totalQuantity: sql`sum(${salesData.quantity})`.mapWith(Number),
+    totalRevenue: sql`sum(${salesData.quantity} * ${salesData.unitPrice})`.mapWith(Number)
+};
+
+/**
+ * Converts a row selected with productSummaryFields into the API representation.
+ */
+export const formatProductSummary = ({ minPrice, maxPrice, averagePrice, ...product }) => ({
+    ...product,
+    prices: {
+        min: minPrice,
+        max: maxPrice,
+        average: averagePrice
+    }
+});
@@ -0,0 +1,78 @@
+import { rateLimit, ipKeyGenerator } from 'express-rate-limit';
+import { createPostgresStore } from './rateLimitStore.js';
+
+const WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+
+// Requests per window for each budget
+const STANDARD_LIMIT = Number(process.env.RATE_LIMIT_MAX) || 120;
+const EXPENSIVE_LIMIT = Number(process.env.RATE_LIMIT_ANALYTICS_MAX) || 20;
+// Per address, above a single key's budget so that several clients can share one (office, proxy)
+const IP_LIMIT = Number(process.env.RATE_LIMIT_IP_MAX) || 600;
+
+// Endpoints aggregating, searching, streaming or rewriting large parts of the table share the
+// smaller expensive budget
+const EXPENSIVE_PATHS = [
+    '/api/sales/analytics/',
+    '/api/sales/export',
+    '/api/sales/bulk-update',
+    '/api/sales/bulk-delete',
+    '/api/products',
+    '/api/customers',
+    '/api/search'
+];
+
+// RATE_LIMIT_STORE picks where counters live: in memory (one server instance) or in Postgres
+// (shared by all instances). A memory store is used when the factory returns undefined.
+const RATE_LIMIT_STORES = {
+    memory: () => undefined,
+    postgres: createPostgresStore
+};
+
+const storeName = process.env.RATE_LIMIT_STORE || 'memory';
+
+if (!Object.hasOwn(RATE_LIMIT_STORES, storeName)) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${storeName}", expected one of: ${Object.keys(RATE_LIMIT_STORES).join(', ')}`);
+}
+
+// Express matches routes case-insensitively, so /API/Search must count as /api/search
+const isExpensiveRequest = (req) => {
+    const url = req.originalUrl.toLowerCase();
+    return EXPENSIVE_PATHS.some((path) => url.startsWith(path));
+};
+
+const ipKey = (req) => `ip:${ipKeyGenerator(req.ip)}`;
+
+// Only set after authentication, so a client can't get a fresh budget by sending made-up keys
+const apiKeyKey = (req) => `key:${req.apiKey.id}`;
+
+const createLimiter = (budget, limit, { keyGenerator, skip, subject = `${budget} requests` }) => rateLimit({
+    windowMs: WINDOW_MS,
+    limit,
+    // RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset, plus Retry-After on 429
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    keyGenerator,
+    skip,
+    store: RATE_LIMIT_STORES[storeName](`${budget}:`),
+    // A store outage shouldn't take the API down with it
+    passOnStoreError: true,
+    message: {
+        success: false,
+        message: `Too many ${subject}, retry after the number of seconds in the Retry-After header`
+    }
+});
+
+/**
+ * Rate limit per IP address, for every request including those without a valid key. Runs before
+ * authentication, so that guessing keys is limited and can't flood the key lookups.
+ */
+export const ipRateLimit = createLimiter('ip', IP_LIMIT, { keyGenerator: ipKey, subject: 'requests from this address' });
+
+/**
+ * Rate limiting middlewares per API key, to run after authentication: the expensive calls (see
+ * EXPENSIVE_PATHS) count against the expensive budget, every other call against the standard one.
+ */
+export const rateLimits = [
+    createLimiter('expensive', EXPENSIVE_LIMIT, { keyGenerator: apiKeyKey, skip: (req) => !isExpensiveRequest(req) }),
+    createLimiter('standard', STANDARD_LIMIT, { keyGenerator: apiKeyKey, skip: isExpensiveRequest })
+];
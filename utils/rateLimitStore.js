@@ -0,0 +1,65 @@
+import { eq, lte, sql } from 'drizzle-orm';
+import { db } from '../config/db.js';
+import { rateLimitHits } from '../DB/schema.js';
+
+/**
+ * Creates an express-rate-limit store keeping the counters in the rate_limit_hits table, so that
+ * every server instance shares them. Keys are namespaced with the prefix, one per limiter.
+ */
+export const createPostgresStore = (prefix) => {
+    let windowMs;
+
+    return {
+        prefix,
+        // Counters are shared with other instances
+        localKeys: false,
+
+        init(options) {
+            windowMs = options.windowMs;
+
+            // Expired rows are only reset when their client comes back, so sweep the rest regularly
+            setInterval(() => {
+                db.delete(rateLimitHits)
+                    .where(lte(rateLimitHits.resetAt, sql`now()`))
+                    .catch((error) => console.error('Error removing expired rate limit counters:', error));
+            }, windowMs).unref();
+        },
+
+        async get(key) {
+            const [row] = await db.select()
+                .from(rateLimitHits)
+                .where(eq(rateLimitHits.key, prefix + key));
+
+            return row && { totalHits: row.hits, resetTime: row.resetAt };
+        },
+
+        // One upsert per request: a new window starts when the previous one has expired
+        async increment(key) {
+            const expired = sql`${rateLimitHits.resetAt} <= now()`;
+
+            const [row] = await db.insert(rateLimitHits)
+                .values({ key: prefix + key, hits: 1, resetAt: sql`now() + ${`${windowMs} milliseconds`}::interval` })
+                .onConflictDoUpdate({
+                    target: rateLimitHits.key,
+                    set: {
+                        hits: sql`case when ${expired} then 1 else ${rateLimitHits.hits} + 1 end`,
+                        resetAt: sql`case when ${expired} then excluded.reset_at else ${rateLimitHits.resetAt} end`
+                    }
+                })
+                .returning();
+
+            return { totalHits: row.hits, resetTime: row.resetAt };
+        },
+
+        async decrement(key) {
+            await db.update(rateLimitHits)
+                .set({ hits: sql`greatest(${rateLimitHits.hits} - 1, 0)` })
+                .where(eq(rateLimitHits.key, prefix + key));
+        },
+
+        async resetKey(key) {
+            await db.delete(rateLimitHits)
+                .where(eq(rateLimitHits.key, prefix + key));
+        }
+    };
+};
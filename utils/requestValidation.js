@@ -0,0 +1,117 @@
+import { Ajv } from 'ajv';
+import addFormats from 'ajv-formats';
+
+const createAjv = (options) => {
+    const instance = new Ajv({ allErrors: true, useDefaults: true, ...options });
+    addFormats(instance);
+    // OpenAPI keyword that has no meaning for validation
+    instance.addKeyword('example');
+    return instance;
+};
+
+// Query strings, path params and CSV imports only carry strings, so values are coerced to the
+// schema types ("3" -> 3) before they are checked; anything that doesn't convert cleanly ("3abc")
+// is rejected.
+const coercingAjv = createAjv({ coerceTypes: true });
+
+// JSON bodies are already typed, so they are checked as sent: coercion would quietly turn
+// `null` into 0 or `true` into 1.
+const strictAjv = createAjv();
+
+const toFieldError = ({ instancePath, keyword, params, message }) => {
+    const path = instancePath.split('/').slice(1);
+
+    if (keyword === 'required') {
+        return { field: [...path, params.missingProperty].join('.'), message: 'is required' };
+    }
+
+    if (keyword === 'dependencies') {
+        return { field: [...path, params.missingProperty].join('.'), message: `is required with ${params.property}` };
+    }
+
+    if (keyword === 'enum') {
+        return { field: path.join('.'), message: `must be one of: ${params.allowedValues.join(', ')}` };
+    }
+
+    return { field: path.join('.'), message };
+};
+
+// anyOf reports every failing alternative and then a generic "must match a schema in anyOf", so
+// the alternatives are folded into that one error, e.g. 'must match format "date-time" or ...'
+const toFieldErrors = (errors) => {
+    const isAlternative = ({ schemaPath }) => /\/anyOf\/\d+\//.test(schemaPath);
+
+    return errors.filter((error) => !isAlternative(error)).map((error) => {
+        if (error.keyword !== 'anyOf') {
+            return toFieldError(error);
+        }
+
+        const alternatives = errors.filter((other) => isAlternative(other)
+            && other.instancePath === error.instancePath
+            && other.schemaPath.startsWith(`${error.schemaPath}/`));
+
+        return toFieldError({ ...error, message: alternatives.map(({ message }) => message).join(' or ') });
+    });
+};
+
+/**
+ * Joins field errors into a single client-facing message, e.g. "quantity must be integer".
+ */
+export const describeErrors = (errors) => errors
+    .map(({ field, message }) => `${field} ${message}`.trim())
+    .join('; ');
+
+/**
+ * Validates data against a schema, defaulting it in place. Values are coerced to the schema types
+ * unless `coerce` is false, which is what typed (JSON) input wants.
+ * Returns `{ data }` on success or `{ errors }` with one `{ field, message }` per problem.
+ */
+export const validateData = (schema, data, { coerce = true } = {}) => {
+    const validate = (coerce ? coercingAjv : strictAjv).compile(schema);
+
+    if (validate(data)) {
+        return { data };
+    }
+
+    return { errors: toFieldErrors(validate.errors) };
+};
+
+/**
+ * Middleware validating the request `params`, `query` and/or `body` against the given schemas.
+ * Params and query are coerced, the JSON body is not. The validated values are stored in
+ * `req.validated` (Express 5 re-parses `req.query` on every read, so it can't be updated in place).
+ * Invalid requests get a 400 listing every field error.
+ */
+export const validateRequest = (schemas) => {
+    const validators = Object.entries(schemas).map(([location, schema]) => [
+        location,
+        (location === 'body' ? strictAjv : coercingAjv).compile(schema)
+    ]);
+
+    return (req, res, next) => {
+        const validated = {};
+        const errors = [];
+
+        for (const [location, validate] of validators) {
+            const data = location === 'body' ? (req.body ?? {}) : { ...req[location] };
+
+            if (validate(data)) {
+                validated[location] = data;
+            } else {
+                errors.push(...toFieldErrors(validate.errors).map((error) => ({ in: location, ...error })));
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: describeErrors(errors),
+                errors
+            });
+        }
+
+        // Merged, so several validateRequest middlewares can run on one route
+        req.validated = { ...req.validated, ...validated };
+        next();
+    };
+};
@@ -0,0 +1,33 @@
+import { sql } from 'drizzle-orm';
+
+/**
+ * RFM segments keyed on recency (R) and frequency (F) quintile scores, 1 (worst) to 5 (best).
+ * Every R/F combination falls into exactly one segment; the first matching rule wins.
+ */
+export const RFM_SEGMENTS = [
+    { name: 'Champions', recency: [5, 5], frequency: [4, 5] },
+    { name: 'Loyal Customers', recency: [3, 4], frequency: [4, 5] },
+    { name: 'Potential Loyalists', recency: [4, 5], frequency: [2, 3] },
+    { name: 'New Customers', recency: [5, 5], frequency: [1, 1] },
+    { name: 'Promising', recency: [4, 4], frequency: [1, 1] },
+    { name: 'Need Attention', recency: [3, 3], frequency: [3, 3] },
+    { name: 'About To Sleep', recency: [3, 3], frequency: [1, 2] },
+    { name: 'Cannot Lose Them', recency: [1, 2], frequency: [5, 5] },
+    { name: 'At Risk', recency: [1, 2], frequency: [3, 4] },
+    { name: 'Lost', recency: [1, 1], frequency: [1, 1] },
+    { name: 'Hibernating', recency: [1, 2], frequency: [1, 2] }
+];
+
+export const RFM_SEGMENT_NAMES = RFM_SEGMENTS.map(({ name }) => name);
+
+/**
+ * Builds a SQL CASE expression that maps recency/frequency score columns to a segment name.
+ */
+export const segmentCaseSql = (recencyScore, frequencyScore) => {
+    const branches = RFM_SEGMENTS.map(({ name, recency, frequency }) => sql`
+        when ${recencyScore} between ${sql.raw(String(recency[0]))} and ${sql.raw(String(recency[1]))}
+         and ${frequencyScore} between ${sql.raw(String(frequency[0]))} and ${sql.raw(String(frequency[1]))}
+        then ${name}::text`);
+
+    return sql`case ${sql.join(branches, sql` `)} end`;
+};
@@ -0,0 +1,268 @@
+import { and, desc, eq, getTableColumns, lt, sql } from 'drizzle-orm';
+import { db, transaction } from '../config/db.js';
+import { salesData, salesAudit } from '../DB/schema.js';
+import { isActive, isTrashed } from './salesFilters.js';
+import { invalidateAnalyticsCache } from './analyticsCache.js';
+import { markDirtyDays, refreshRollups } from './salesRollups.js';
+
+// Every write to a sales line goes through the helpers below, which make the change and record it
+// in sales_audit in a single statement (data-modifying CTE): the HTTP driver has no interactive
+// transactions, and this way a change can't be stored without its audit entry or vice versa.
+// The same statement marks the days it changed for the daily rollups (see salesRollups.js).
+
+// Brings the rollups of the days a write changed up to date and drops the cached analytics computed
+// from the previous data. Only those days are refreshed, so a write never pays for a backlog of
+// dirty days: if the refresh fails, or days were marked dirty some other way, analytics read the
+// lines until the scheduled refresh catches up.
+const afterWrite = async (days) => {
+    if (days.length > 0) {
+        await refreshRollups(days).catch((error) => console.error('Error refreshing the sales rollups:', error));
+    }
+    await invalidateAnalyticsCache();
+};
+
+// Column listing the days marked dirty by the "dirty" CTE of a write statement
+const dirtyDays = sql`(select coalesce(json_agg(day), '[]') from dirty) as dirty_days`;
+
+// Days changed by the writes of each open salesTransaction, refreshed once it has committed
+const transactionDays = new WeakMap();
+
+// Runs a write statement, in the given transaction if any: salesTransaction then calls afterWrite
+// once it has committed, since the refresh can't see uncommitted changes.
+const executeWrite = async (query, tx) => {
+    const result = await (tx ?? db).execute(query);
+    const days = result.rows[0]?.dirty_days ?? [];
+
+    if (tx) {
+        transactionDays.get(tx)?.push(...days);
+    } else {
+        await afterWrite(days);
+    }
+
+    return result;
+};
+
+/**
+ * Runs several writes in one transaction (see transaction in config/db.js): callback(tx) passes tx
+ * on to the write helpers below. Resolves to the callback's result once committed.
+ */
+export const salesTransaction = async (callback, config) => {
+    const days = [];
+    const result = await transaction((tx) => {
+        transactionDays.set(tx, days);
+        return callback(tx);
+    }, config);
+
+    await afterWrite([...new Set(days)]);
+    return result;
+};
+
+const salesColumns = getTableColumns(salesData);
+
+const isoTimestamp = (column) => sql`to_char(${column}, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')`;
+
+/**
+ * SQL turning a sales line row of the given CTE into JSON shaped like the API returns it:
+ * camelCase fields, unitPrice as a string and timestamps as ISO strings.
+ */
+const lineSnapshot = (alias) => {
+    const fields = Object.entries(salesColumns).flatMap(([field, column]) => {
+        const value = sql`${sql.identifier(alias)}.${sql.identifier(column.name)}`;
+
+        if (column.columnType === 'PgTimestamp') return [sql.raw(`'${field}'`), isoTimestamp(value)];
+        if (column.columnType === 'PgNumeric') return [sql.raw(`'${field}'`), sql`${value}::text`];
+        return [sql.raw(`'${field}'`), value];
+    });
+
+    return sql`jsonb_build_object(${sql.join(fields, sql`, `)})`;
+};
+
+// jsonb sorts keys by length, so put them back in column order
+const orderedSnapshot = (snapshot) => snapshot && Object.fromEntries(
+    Object.keys(salesColumns)
+        .filter((field) => field in snapshot)
+        .map((field) => [field, snapshot[field]])
+);
+
+/**
+ * Converts a snapshot back to salesData values, without the id.
+ */
+const snapshotValues = (snapshot) => Object.fromEntries(
+    Object.entries(salesColumns)
+        .filter(([field]) => field !== 'id' && snapshot[field] !== undefined)
+        .map(([field, column]) => [
+            field,
+            column.columnType === 'PgTimestamp' && snapshot[field] !== null ? new Date(snapshot[field]) : snapshot[field]
+        ])
+);
+
+/**
+ * Who made a change: the API key of the request and the client's address.
+ */
+export const auditActor = (req) => ({
+    apiKeyId: req.apiKey?.id ?? null,
+    apiKeyName: req.apiKey?.name ?? null,
+    clientIp: req.ip ?? null
+});
+
+const actorValues = ({ apiKeyId, apiKeyName, clientIp }) => sql`${apiKeyId}::integer, ${apiKeyName}::text, ${clientIp}::text`;
+
+/**
+ * Inserts sales lines and records their creation. Returns the created lines.
+ */
+export const insertSalesLines = async (records, actor, tx) => {
+    const result = await executeWrite(sql`
+        with inserted as (${db.insert(salesData).values(records).returning().getSQL()}),
+        audited as (
+            insert into ${salesAudit} (line_id, action, after, api_key_id, api_key_name, client_ip)
+            select id, 'create', ${lineSnapshot('inserted')}, ${actorValues(actor)}
+            from inserted
+            returning line_id, before, after
+        ),
+        dirty as (${markDirtyDays('audited')})
+        select (select coalesce(json_agg(after order by line_id), '[]') from audited) as lines, ${dirtyDays}
+    `, tx);
+
+    return result.rows[0].lines.map(orderedSnapshot);
+};
+
+// Number of days trashed sales lines are kept before the scheduled purge removes them for good
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// CTEs updating the lines matching the condition and recording each change under the given
+// action; the statement ends with a select from "audited"
+const auditedUpdate = (action, condition, changes, actor) => sql`
+    with before as (select * from ${salesData} where ${condition}),
+    updated as (${db.update(salesData).set(changes).where(sql`${salesData.id} in (select id from before)`).returning().getSQL()}),
+    audited as (
+        insert into ${salesAudit} (line_id, action, before, after, api_key_id, api_key_name, client_ip)
+        select updated.id, ${action}, ${lineSnapshot('before')}, ${lineSnapshot('updated')}, ${actorValues(actor)}
+        from updated
+        join before on before.id = updated.id
+        returning before, after
+    ),
+    dirty as (${markDirtyDays('audited')})
+`;
+
+const updateOneLine = async (action, condition, changes, actor, tx) => {
+    const result = await executeWrite(sql`${auditedUpdate(action, condition, changes, actor)} select after, ${dirtyDays} from audited`, tx);
+    return orderedSnapshot(result.rows[0]?.after ?? null);
+};
+
+const updateManyLines = async (action, condition, changes, actor, tx) => {
+    const result = await executeWrite(sql`${auditedUpdate(action, condition, changes, actor)} select count(*)::integer as count, ${dirtyDays} from audited`, tx);
+    return result.rows[0].count;
+};
+
+/**
+ * Updates a sales line and records the change. Returns the updated line, or null when it doesn't
+ * exist or is in the trash.
+ */
+export const updateSalesLine = (id, changes, actor, tx) => updateOneLine('update', and(eq(salesData.id, id), isActive), changes, actor, tx);
+
+/**
+ * Moves a sales line to the trash and records it. Returns the trashed line, or null when it
+ * doesn't exist or is already in the trash.
+ */
+export const deleteSalesLine = (id, actor, tx) => updateOneLine('delete', and(eq(salesData.id, id), isActive), { deletedAt: sql`now()` }, actor, tx);
+
+/**
+ * Takes a sales line out of the trash and records it. Returns the restored line, or null when it
+ * isn't in the trash.
+ */
+export const restoreSalesLine = (id, actor, tx) => updateOneLine('restore', and(eq(salesData.id, id), isTrashed), { deletedAt: null }, actor, tx);
+
+/**
+ * Applies the same changes to every line matching the condition, recording each of them, in a
+ * single statement: either every line is changed or none is. Returns the number of changed lines.
+ */
+export const bulkUpdateSalesLines = (condition, changes, actor, tx) => updateManyLines('update', condition, changes, actor, tx);
+
+/**
+ * Moves every line matching the condition to the trash, as bulkUpdateSalesLines. Returns the
+ * number of trashed lines.
+ */
+export const bulkDeleteSalesLines = (condition, actor, tx) => updateManyLines('delete', condition, { deletedAt: sql`now()` }, actor, tx);
+
+/**
+ * Deletes for good the sales lines trashed before the cutoff date, recording each of them.
+ * Returns the number of purged lines.
+ */
+export const purgeTrash = async (cutoff, actor, tx) => {
+    // Trashed lines are already left out of the rollups, so no day changes
+    const result = await executeWrite(sql`
+        with purged as (${db.delete(salesData).where(and(isTrashed, lt(salesData.deletedAt, cutoff))).returning().getSQL()})
+        insert into ${salesAudit} (line_id, action, before, api_key_id, api_key_name, client_ip)
+        select id, 'purge', ${lineSnapshot('purged')}, ${actorValues(actor)}
+        from purged
+    `, tx);
+
+    return result.rowCount ?? 0;
+};
+
+/**
+ * Puts a sales line back in the state recorded by an audit entry, trash included, re-creating it
+ * if it was purged (with the same id). Returns the restored line.
+ */
+export const revertSalesLine = async (entry, actor, tx) => {
+    // Entries recorded before soft delete have no deletedAt
+    const values = { deletedAt: null, ...snapshotValues(entry.after) };
+
+    const result = await executeWrite(sql`
+        with before as (select * from ${salesData} where ${salesData.id} = ${entry.lineId}),
+        restored as (${db.insert(salesData)
+            .values({ id: entry.lineId, ...values })
+            .onConflictDoUpdate({ target: salesData.id, set: values })
+            .returning().getSQL()}),
+        audited as (
+            insert into ${salesAudit} (line_id, action, before, after, revert_of, api_key_id, api_key_name, client_ip)
+            select restored.id, 'revert', (select ${lineSnapshot('before')} from before), ${lineSnapshot('restored')},
+                   ${entry.id}::integer, ${actorValues(actor)}
+            from restored
+            returning before, after
+        ),
+        dirty as (${markDirtyDays('audited')})
+        select after, ${dirtyDays} from audited
+    `, tx);
+
+    return orderedSnapshot(result.rows[0].after);
+};
+
+// Fields whose value differs between the two snapshots
+const changedFields = (before, after) => {
+    if (!before || !after) return null;
+    return Object.keys(after).filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+};
+
+const formatEntry = ({ apiKeyId, apiKeyName, clientIp, before, after, ...entry }) => ({
+    ...entry,
+    before: orderedSnapshot(before),
+    after: orderedSnapshot(after),
+    changedFields: changedFields(before, after),
+    actor: { apiKeyId, apiKeyName, clientIp }
+});
+
+const historyQuery = (condition) => db.select()
+    .from(salesAudit)
+    .where(condition)
+    .orderBy(desc(salesAudit.changedAt), desc(salesAudit.id));
+
+/**
+ * Audit entries of a sales line, newest first.
+ */
+export const lineHistory = async (lineId) => (await historyQuery(eq(salesAudit.lineId, lineId))).map(formatEntry);
+
+/**
+ * Audit entries of every line of an invoice, newest first.
+ */
+export const invoiceHistory = async (invoiceNo) => (
+    await historyQuery(sql`coalesce(${salesAudit.after} ->> 'invoiceNo', ${salesAudit.before} ->> 'invoiceNo') = ${invoiceNo}`)
+).map(formatEntry);
+
+export const findAuditEntry = async (lineId, id) => {
+    const [entry] = await db.select()
+        .from(salesAudit)
+        .where(and(eq(salesAudit.lineId, lineId), eq(salesAudit.id, id)));
+
+    return entry ?? null;
+};
@@ -0,0 +1,82 @@
+import { and, or, eq, gt, lt, isNull, isNotNull, asc, desc, getTableColumns } from 'drizzle-orm';
+import { salesData } from '../DB/schema.js';
+import { resolveSortField } from './salesFilters.js';
+
+/**
+ * Encodes a position in the sales list as an opaque, URL-safe cursor.
+ * A cursor remembers the sort it was made for, so following it keeps the same order.
+ */
+export const encodeCursor = ({ sortBy, sortOrder, value, id, direction }) => {
+    return Buffer.from(JSON.stringify([sortBy, sortOrder, value, id, direction])).toString('base64url');
+};
+
+const isInt32 = (value) => Number.isInteger(value) && value >= -2147483648 && value <= 2147483647;
+
+// Checks that a decoded value could have come from the column, so that a tampered cursor is
+// rejected instead of failing in the query. Values are as JSON gives them: numerics and timestamps
+// as strings.
+const CURSOR_VALUE_CHECKS = {
+    PgInteger: isInt32,
+    PgVarchar: (value) => typeof value === 'string',
+    PgNumeric: (value) => typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value),
+    PgTimestamp: (value) => typeof value === 'string' && !isNaN(new Date(value))
+};
+
+const isValidCursorValue = (column, value) => (value === null
+    ? !column.notNull
+    : CURSOR_VALUE_CHECKS[column.columnType]?.(value) ?? false);
+
+/**
+ * Decodes a cursor made by encodeCursor, or returns null when it isn't one.
+ */
+export const decodeCursor = (cursor) => {
+    try {
+        const [sortBy, sortOrder, value, id, direction] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+
+        const valid = resolveSortField(sortBy) === sortBy
+            && ['asc', 'desc'].includes(sortOrder)
+            && ['next', 'prev'].includes(direction)
+            && isInt32(id)
+            && isValidCursorValue(getTableColumns(salesData)[sortBy], value);
+
+        return valid ? { sortBy, sortOrder, value, id, direction } : null;
+    } catch {
+        return null;
+    }
+};
+
+// Rows after (value, id) in ascending order; the line id breaks ties between equal sort values.
+// Postgres sorts nulls last ascending and first descending.
+const afterPosition = (column, value, id) => (value === null
+    ? and(isNull(column), gt(salesData.id, id))
+    : or(gt(column, value), and(eq(column, value), gt(salesData.id, id)), isNull(column)));
+
+const beforePosition = (column, value, id) => (value === null
+    ? or(and(isNull(column), lt(salesData.id, id)), isNotNull(column))
+    : or(lt(column, value), and(eq(column, value), lt(salesData.id, id))));
+
+/**
+ * Builds the keyset condition and order for reading one page from a position.
+ * Without an id the page starts at the beginning of the list.
+ *
+ * Pages before the position are read in the opposite order, so their rows
+ * must be reversed (`reverse`) before they are returned.
+ */
+export const buildKeysetPage = ({ sortBy, sortOrder, value, id, direction = 'next' }) => {
+    const column = getTableColumns(salesData)[sortBy];
+    const forward = direction === 'next';
+    const ascending = (sortOrder === 'asc') === forward;
+
+    // Cursor values are JSON, so timestamps come back as ISO strings
+    const position = value !== null && column.columnType === 'PgTimestamp' ? new Date(value) : value;
+
+    const condition = id === undefined
+        ? undefined
+        : (ascending ? afterPosition : beforePosition)(column, position, id);
+
+    return {
+        condition,
+        orderBy: ascending ? [asc(column), asc(salesData.id)] : [desc(column), desc(salesData.id)],
+        reverse: !forward
+    };
+};
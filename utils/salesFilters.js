@@ -0,0 +1,313 @@
+import { eq, and, gte, lte, lt, desc, asc, like, notLike, inArray, isNull, isNotNull, sql, getTableColumns } from 'drizzle-orm';
+import { salesData } from '../DB/schema.js';
+import { MAX_SEARCH_LENGTH, matchesSearch } from './search.js';
+
+// net includes both sales and cancellations, which is what the totals always reported
+export const TRANSACTION_TYPES = ['net', 'sales', 'returns'];
+
+// Cancelled invoices (returns) are numbered with a "C" prefix and carry negative quantities
+export const isCancellation = like(salesData.invoiceNo, 'C%');
+export const isSale = notLike(salesData.invoiceNo, 'C%');
+
+// Lines in the trash (soft deleted) are left out of every query except the trash routes
+export const isActive = isNull(salesData.deletedAt);
+export const isTrashed = isNotNull(salesData.deletedAt);
+
+/**
+ * A product is identified by its stock code, ignoring case and stray whitespace:
+ * the dataset has variants such as "85123A" and "85123a" for the same item.
+ */
+export const productCode = sql`upper(trim(${salesData.stockCode}))`;
+
+/**
+ * Normalizes a stock code from a request the same way productCode does in SQL.
+ */
+export const normalizeProductCode = (stockCode) => String(stockCode).trim().toUpperCase();
+
+const lineTotal = sql`${salesData.quantity} * ${salesData.unitPrice}`;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Numeric range filters: query parameter pairs and the column or expression they bound
+const RANGE_FILTERS = [
+    { min: 'minQuantity', max: 'maxQuantity', column: salesData.quantity, integer: true },
+    { min: 'minPrice', max: 'maxPrice', column: salesData.unitPrice },
+    { min: 'minLineTotal', max: 'maxLineTotal', column: lineTotal }
+];
+
+const parseNumber = (name, value, integer) => {
+    const number = Number(value);
+
+    if (typeof value !== 'string' || value.trim() === '' || !Number.isFinite(number)) {
+        return { error: `${name} must be a number` };
+    }
+
+    if (integer && !Number.isInteger(number)) {
+        return { error: `${name} must be an integer` };
+    }
+
+    return { value: number };
+};
+
+/**
+ * Parses a date query param. Returns `{ value }`, or `{ error }` naming the param.
+ */
+export const parseDate = (name, value) => {
+    const date = typeof value === 'string' ? new Date(value) : new Date(NaN);
+
+    return isNaN(date.getTime())
+        ? { error: `${name} must be a valid date (YYYY-MM-DD or ISO 8601)` }
+        : { value: date };
+};
+
+/**
+ * Parses an inclusive date range given as query strings into `{ startDate, endDate }`.
+ * A date-only end covers that whole day, so it becomes an exclusive `endBefore` the next midnight.
+ * Returns `{ range }`, or `{ error }` naming the invalid parameter.
+ */
+export const parseDateRange = (start, end, startName = 'startDate', endName = 'endDate') => {
+    const range = {};
+
+    if (start !== undefined) {
+        const { value, error } = parseDate(startName, start);
+        if (error) return { error };
+        range.startDate = value;
+    }
+
+    if (end !== undefined) {
+        const { value, error } = parseDate(endName, end);
+        if (error) return { error };
+
+        if (DATE_ONLY.test(end)) {
+            range.endBefore = new Date(value.getTime() + DAY_MS);
+        } else {
+            range.endDate = value;
+        }
+    }
+
+    const outOfOrder = range.startDate && (range.endBefore
+        ? range.startDate >= range.endBefore
+        : range.startDate > range.endDate);
+
+    if (outOfOrder) {
+        return { error: `${startName} must not be after ${endName}` };
+    }
+
+    return { range };
+};
+
+/**
+ * Parses and validates the filter query parameters shared by the sales list, export and
+ * analytics routes. Returns `{ filters }` for buildSalesConditions, or `{ error }` naming
+ * the first invalid parameter.
+ *
+ * - country: one or more countries, repeated or comma-separated
+ * - customerId / hasCustomer: one customer, or lines with (true) or without (false) one
+ * - stockCode: exact product code, or a prefix when it ends with "*" (case-insensitive)
+ * - startDate / endDate: inclusive; a date-only endDate covers that whole day
+ * - minQuantity / maxQuantity, minPrice / maxPrice, minLineTotal / maxLineTotal: inclusive ranges
+ * - transactionType: net, sales or returns
+ * - q: search text matched against descriptions by words and by similarity
+ */
+export const parseSalesFilters = (query = {}) => {
+    const filters = {};
+
+    if (query.country !== undefined) {
+        const countries = [].concat(query.country)
+            .flatMap(value => String(value).split(','))
+            .map(value => value.trim())
+            .filter(Boolean);
+
+        if (countries.length === 0) {
+            return { error: 'country must name at least one country' };
+        }
+
+        filters.country = countries;
+    }
+
+    if (query.customerId !== undefined) {
+        const { value, error } = parseNumber('customerId', query.customerId, true);
+        if (error) return { error };
+        filters.customerId = value;
+    }
+
+    if (query.hasCustomer !== undefined) {
+        if (!['true', 'false'].includes(query.hasCustomer)) {
+            return { error: 'hasCustomer must be true or false' };
+        }
+
+        filters.hasCustomer = query.hasCustomer === 'true';
+    }
+
+    if (query.stockCode !== undefined) {
+        const code = typeof query.stockCode === 'string' ? normalizeProductCode(query.stockCode) : '';
+        const prefix = code.endsWith('*');
+        const stockCode = prefix ? code.slice(0, -1) : code;
+
+        if (!stockCode || stockCode.includes('*')) {
+            return { error: 'stockCode must be a stock code, optionally ending with * to match a prefix' };
+        }
+
+        filters.stockCode = stockCode;
+        filters.stockCodePrefix = prefix;
+    }
+
+    const { range, error: rangeError } = parseDateRange(query.startDate, query.endDate);
+    if (rangeError) return { error: rangeError };
+    Object.assign(filters, range);
+
+    for (const { min, max, integer } of RANGE_FILTERS) {
+        for (const name of [min, max]) {
+            if (query[name] === undefined) continue;
+
+            const { value, error } = parseNumber(name, query[name], integer);
+            if (error) return { error };
+            filters[name] = value;
+        }
+
+        if (filters[min] !== undefined && filters[max] !== undefined && filters[min] > filters[max]) {
+            return { error: `${min} must not be greater than ${max}` };
+        }
+    }
+
+    if (query.transactionType !== undefined) {
+        if (!TRANSACTION_TYPES.includes(query.transactionType)) {
+            return { error: `transactionType must be one of: ${TRANSACTION_TYPES.join(', ')}` };
+        }
+
+        filters.transactionType = query.transactionType;
+    }
+
+    if (query.q !== undefined) {
+        const q = typeof query.q === 'string' ? query.q.trim() : '';
+
+        if (!q || q.length > MAX_SEARCH_LENGTH) {
+            return { error: `q must be between 1 and ${MAX_SEARCH_LENGTH} characters` };
+        }
+
+        filters.q = q;
+    }
+
+    return { filters };
+};
+
+/**
+ * Middleware parsing the shared sales filters into `req.filters`, or rejecting the request
+ * with a 400 naming the invalid parameter.
+ */
+export const validateSalesFilters = (req, res, next) => {
+    const { filters, error } = parseSalesFilters(req.query);
+
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: error
+        });
+    }
+
+    req.filters = filters;
+    next();
+};
+
+// Backslash is the default LIKE escape character in Postgres
+export const escapeLike = (value) => value.replace(/[\\%_]/g, (match) => `\\${match}`);
+
+/**
+ * Builds the where conditions for the sales filters parsed by parseSalesFilters.
+ * Trashed lines are always excluded.
+ */
+export const buildSalesConditions = ({
+    country,
+    customerId,
+    hasCustomer,
+    stockCode,
+    stockCodePrefix,
+    startDate,
+    endDate,
+    endBefore,
+    transactionType,
+    q,
+    ...ranges
+} = {}) => {
+    const conditions = [isActive];
+
+    if (country) {
+        const countries = [].concat(country);
+        conditions.push(countries.length === 1 ? eq(salesData.country, countries[0]) : inArray(salesData.country, countries));
+    }
+
+    if (customerId !== undefined) {
+        conditions.push(eq(salesData.customerId, customerId));
+    }
+
+    if (hasCustomer !== undefined) {
+        conditions.push(hasCustomer ? isNotNull(salesData.customerId) : isNull(salesData.customerId));
+    }
+
+    if (stockCode) {
+        conditions.push(stockCodePrefix
+            ? like(productCode, `${escapeLike(stockCode)}%`)
+            : eq(productCode, stockCode));
+    }
+
+    if (startDate) {
+        conditions.push(gte(salesData.invoiceDate, startDate));
+    }
+
+    if (endDate) {
+        conditions.push(lte(salesData.invoiceDate, endDate));
+    }
+
+    if (endBefore) {
+        conditions.push(lt(salesData.invoiceDate, endBefore));
+    }
+
+    for (const { min, max, column } of RANGE_FILTERS) {
+        if (ranges[min] !== undefined) {
+            conditions.push(sql`${column} >= ${ranges[min]}`);
+        }
+
+        if (ranges[max] !== undefined) {
+            conditions.push(sql`${column} <= ${ranges[max]}`);
+        }
+    }
+
+    if (transactionType === 'sales') {
+        conditions.push(isSale);
+    }
+
+    if (transactionType === 'returns') {
+        conditions.push(isCancellation);
+    }
+
+    if (q) {
+        conditions.push(matchesSearch(q));
+    }
+
+    return conditions;
+};
+
+/**
+ * Combines conditions into a single where clause, or undefined when there is nothing to filter on.
+ */
+export const whereClause = (conditions) => {
+    return conditions.length > 0 ? and(...conditions) : undefined;
+};
+
+/**
+ * Returns the sales column name to sort on, falling back to invoiceDate for unknown fields.
+ * deletedAt is null on every listed line, so it isn't a sort field.
+ */
+export const resolveSortField = (sortBy) => {
+    return Object.hasOwn(getTableColumns(salesData), sortBy ?? '') && sortBy !== 'deletedAt' ? sortBy : 'invoiceDate';
+};
+
+/**
+ * Builds the order by clause for the sales list sortBy/sortOrder params.
+ * Unknown sort fields fall back to invoiceDate.
+ */
+export const buildSalesOrder = ({ sortBy = 'invoiceDate', sortOrder = 'desc' } = {}) => {
+    const sortField = getTableColumns(salesData)[resolveSortField(sortBy)];
+    return sortOrder === 'asc' ? asc(sortField) : desc(sortField);
+};
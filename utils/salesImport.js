@@ -0,0 +1,107 @@
+import { createInterface } from 'readline';
+import { parse } from 'csv-parse';
+
+// Maps normalized header names (lowercase, no separators) to salesData fields, so the
+// original dataset headers (InvoiceNo, CustomerID, ...), camelCase and snake_case all work.
+const COLUMN_MAP = {
+    invoiceno: 'invoiceNo',
+    stockcode: 'stockCode',
+    description: 'description',
+    quantity: 'quantity',
+    invoicedate: 'invoiceDate',
+    unitprice: 'unitPrice',
+    customerid: 'customerId',
+    country: 'country'
+};
+
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl'];
+
+/**
+ * Works out the import format from the `format` query param or the request Content-Type.
+ * Returns 'csv', 'ndjson' or null when the format is not supported.
+ */
+export const detectImportFormat = (req) => {
+    const { format } = req.query;
+
+    if (format) {
+        return ['csv', 'ndjson'].includes(format) ? format : null;
+    }
+
+    if (req.is('text/csv')) return 'csv';
+    if (req.is(NDJSON_TYPES)) return 'ndjson';
+
+    return null;
+};
+
+/**
+ * Renames the keys of a raw import row to salesData field names, dropping unknown columns.
+ * Empty strings are treated as missing values.
+ */
+export const mapImportRow = (row) => {
+    const mapped = {};
+
+    for (const [key, value] of Object.entries(row)) {
+        const field = COLUMN_MAP[key.toLowerCase().replace(/[\s_-]/g, '')];
+
+        if (field && value !== '' && value !== null && value !== undefined) {
+            mapped[field] = typeof value === 'string' ? value.trim() : value;
+        }
+    }
+
+    return mapped;
+};
+
+async function* readCsvRows(stream) {
+    const parser = stream.pipe(parse({
+        bom: true,
+        columns: true,
+        info: true,
+        skip_empty_lines: true,
+        skip_records_with_error: true
+    }));
+
+    // Malformed records are skipped by the parser; surface them as row errors instead
+    const skipped = [];
+    parser.on('skip', (error) => skipped.push({ line: error.lines, error: error.message }));
+
+    for await (const { record, info } of parser) {
+        yield* skipped.splice(0);
+        yield { line: info.lines, row: record };
+    }
+
+    yield* skipped.splice(0);
+}
+
+async function* readNdjsonRows(stream) {
+    const lines = createInterface({ input: stream, crlfDelay: Infinity });
+    let line = 0;
+
+    for await (const text of lines) {
+        line++;
+
+        if (!text.trim()) continue;
+
+        let row;
+
+        try {
+            row = JSON.parse(text);
+        } catch {
+            yield { line, error: 'Invalid JSON' };
+            continue;
+        }
+
+        if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+            yield { line, error: 'Expected a JSON object' };
+        } else {
+            yield { line, row };
+        }
+    }
+}
+
+/**
+ * Streams rows out of an import body. Yields `{ line, row }` for each record, or
+ * `{ line, error }` when a record could not be parsed at all.
+ */
+export const readImportRows = (stream, format) => {
+    return format === 'csv' ? readCsvRows(stream) : readNdjsonRows(stream);
+};
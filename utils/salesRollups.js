@@ -0,0 +1,221 @@
+import { and, eq, gte, inArray, like, lt, sql, sum } from 'drizzle-orm';
+import { db } from '../config/db.js';
+import { salesData, salesDailyRollup, salesRollupDirtyDays } from '../DB/schema.js';
+import { buildSalesConditions, whereClause, escapeLike, productCode, isActive, isCancellation } from './salesFilters.js';
+import { canonicalDescription } from './products.js';
+
+// The daily rollups hold the sums of the sales lines per day, country, product and transaction
+// type. Writes mark the days they touch as dirty in the same statement as the change, and
+// refreshRollups() recomputes the dirty days. Queries only use the rollups when none of the days
+// they cover is dirty, so their results are always those of the same query on the lines.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Filters the rollups can answer; any other needs the individual lines
+const ROLLUP_FILTERS = ['country', 'stockCode', 'stockCodePrefix', 'startDate', 'endBefore', 'transactionType'];
+
+const isMidnight = (date) => date.getTime() % DAY_MS === 0;
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+// Raw SQL needs an explicit predicate even when no filters are set
+const whereSql = (conditions) => whereClause(conditions) ?? sql`true`;
+
+/**
+ * Translates parsed sales filters into conditions on the rollup table, with an SQL flag telling
+ * whether any day in the range is dirty. Returns null when the request isn't day-aligned or
+ * filters on something the rollups don't keep.
+ */
+const rollupQuery = (filters) => {
+    const { country, stockCode, stockCodePrefix, startDate, endBefore, transactionType } = filters;
+
+    if (Object.keys(filters).some((name) => !ROLLUP_FILTERS.includes(name))) return null;
+    if ((startDate && !isMidnight(startDate)) || (endBefore && !isMidnight(endBefore))) return null;
+
+    const dayRange = (column) => [
+        ...(startDate ? [gte(column, toDay(startDate))] : []),
+        ...(endBefore ? [lt(column, toDay(endBefore))] : [])
+    ];
+
+    const conditions = dayRange(salesDailyRollup.day);
+
+    if (country) {
+        conditions.push(country.length === 1 ? eq(salesDailyRollup.country, country[0]) : inArray(salesDailyRollup.country, country));
+    }
+
+    if (stockCode) {
+        conditions.push(stockCodePrefix
+            ? like(salesDailyRollup.productCode, `${escapeLike(stockCode)}%`)
+            : eq(salesDailyRollup.productCode, stockCode));
+    }
+
+    if (transactionType === 'sales' || transactionType === 'returns') {
+        conditions.push(eq(salesDailyRollup.isReturn, transactionType === 'returns'));
+    }
+
+    const dirtyDays = db.select({ day: salesRollupDirtyDays.day })
+        .from(salesRollupDirtyDays)
+        .where(whereClause(dayRange(salesRollupDirtyDays.day)));
+
+    return { conditions, stale: sql`exists (${dirtyDays.getSQL()})` };
+};
+
+/**
+ * Sales summary from the rollups, with the same fields as the query on the lines, or null when
+ * the rollups can't answer it.
+ */
+export const rollupSummary = async (filters) => {
+    const rollup = rollupQuery(filters);
+    if (!rollup) return null;
+
+    const [summary] = await db.select({
+        totalSales: sum(salesDailyRollup.revenue),
+        totalQuantity: sum(salesDailyRollup.quantity),
+        totalOrders: sum(salesDailyRollup.lines),
+        // avg() divides the sum by the count the same way, so the result is identical
+        averageOrderValue: sql`sum(${salesDailyRollup.revenue}) / sum(${salesDailyRollup.lines})`,
+        stale: rollup.stale
+    })
+    .from(salesDailyRollup)
+    .where(whereClause(rollup.conditions));
+
+    return summary.stale ? null : summary;
+};
+
+/**
+ * Top products by quantity from the rollups, with the same fields and order as the query on the
+ * lines, or null when the rollups can't answer it. Descriptions are the most used one of each
+ * product, which only the lines know: they are looked up for the selected products alone.
+ */
+export const rollupTopProducts = async (filters, { limit, ascending }) => {
+    const rollup = rollupQuery(filters);
+    if (!rollup) return null;
+
+    const direction = sql.raw(ascending ? 'asc' : 'desc');
+
+    // One statement, so the products, their descriptions and the dirty check see the same data
+    const result = await db.execute(sql`
+        with top as (
+            select ${salesDailyRollup.productCode} as product_code,
+                   sum(${salesDailyRollup.quantity}) as total_quantity,
+                   sum(${salesDailyRollup.revenue}) as total_revenue,
+                   sum(${salesDailyRollup.unitPriceSum}) / sum(${salesDailyRollup.lines}) as average_price
+            from ${salesDailyRollup}
+            where ${whereSql(rollup.conditions)}
+            group by 1
+            order by total_quantity ${direction}, product_code
+            limit ${limit}
+        )
+        select ${rollup.stale} as stale, top.*, descriptions.description
+        from (select 1) as one
+        left join top on true
+        left join lateral (
+            select ${canonicalDescription} as description
+            from ${salesData}
+            where ${whereSql(buildSalesConditions(filters))}
+              and ${productCode} = top.product_code
+        ) as descriptions on true
+        order by top.total_quantity ${direction}, top.product_code
+    `);
+
+    if (result.rows[0].stale) return null;
+
+    return result.rows
+        .filter((row) => row.product_code !== null)
+        .map((row) => ({
+            stockCode: row.product_code,
+            description: row.description,
+            totalQuantity: row.total_quantity,
+            totalRevenue: row.total_revenue,
+            averagePrice: row.average_price
+        }));
+};
+
+/**
+ * CTE body marking as dirty the days of the lines in the given CTE, which returns their `before`
+ * and `after` snapshots. A day that is already dirty gets a new version. Returns the days marked.
+ */
+export const markDirtyDays = (source) => sql`
+    insert into ${salesRollupDirtyDays} (day)
+    select distinct (snapshot ->> 'invoiceDate')::timestamp::date
+    from ${sql.identifier(source)}, lateral (values (before), (after)) as changed (snapshot)
+    where snapshot is not null
+    on conflict (day) do update set version = ${salesRollupDirtyDays.version} + 1
+    returning day
+`;
+
+/**
+ * Recomputes the rollups of the dirty days and marks them clean, only those among the given days
+ * ('YYYY-MM-DD') if any. Returns the number of days refreshed.
+ *
+ * A day is only claimed if its version hasn't changed since the statement started, i.e. no write
+ * committed in between: otherwise it stays dirty for the next refresh. Concurrent refreshes
+ * can't claim the same day twice, so an older result never overwrites a newer one.
+ */
+export const refreshRollups = async (days) => {
+    const result = await db.execute(sql`
+        with seen as (
+            select day, version from ${salesRollupDirtyDays}
+            ${days ? sql`where ${inArray(salesRollupDirtyDays.day, days)}` : sql``}
+        ),
+        claimed as (
+            delete from ${salesRollupDirtyDays}
+            using seen
+            where ${salesRollupDirtyDays.day} = seen.day and ${salesRollupDirtyDays.version} = seen.version
+            returning seen.day
+        ),
+        fresh as (
+            select claimed.day,
+                   ${salesData.country} as country,
+                   ${productCode} as product_code,
+                   ${isCancellation} as is_return,
+                   count(*)::integer as lines,
+                   sum(${salesData.quantity}) as quantity,
+                   sum(${salesData.quantity} * ${salesData.unitPrice}) as revenue,
+                   sum(${salesData.unitPrice}) as unit_price_sum
+            from claimed
+            join ${salesData} on ${salesData.invoiceDate} >= claimed.day and ${salesData.invoiceDate} < claimed.day + 1
+            where ${isActive}
+            group by 1, 2, 3, 4
+        ),
+        removed as (
+            delete from ${salesDailyRollup}
+            using claimed
+            where ${salesDailyRollup.day} = claimed.day
+              and not exists (
+                  select 1 from fresh
+                  where fresh.day = ${salesDailyRollup.day}
+                    and fresh.country = ${salesDailyRollup.country}
+                    and fresh.product_code = ${salesDailyRollup.productCode}
+                    and fresh.is_return = ${salesDailyRollup.isReturn}
+              )
+        ),
+        upserted as (
+            insert into ${salesDailyRollup} (day, country, product_code, is_return, lines, quantity, revenue, unit_price_sum)
+            select * from fresh
+            on conflict (day, country, product_code, is_return) do update
+            set lines = excluded.lines,
+                quantity = excluded.quantity,
+                revenue = excluded.revenue,
+                unit_price_sum = excluded.unit_price_sum
+        )
+        select count(*)::integer as days from claimed
+    `);
+
+    return result.rows[0].days;
+};
+
+/**
+ * Marks every day with sales lines or rollup rows as dirty and refreshes them all, e.g. after
+ * loading data without going through the API. Returns the number of days rebuilt.
+ */
+export const rebuildRollups = async () => {
+    await db.execute(sql`
+        insert into ${salesRollupDirtyDays} (day)
+        select ${salesData.invoiceDate}::date from ${salesData}
+        union
+        select ${salesDailyRollup.day} from ${salesDailyRollup}
+        on conflict (day) do update set version = ${salesRollupDirtyDays.version} + 1
+    `);
+
+    return refreshRollups();
+};
@@ -0,0 +1,361 @@
+import { count, sql } from 'drizzle-orm';
+import { salesData, salesAudit, salesDailyRollup, salesRollupDirtyDays } from '../DB/schema.js';
+import { insertSalesLines, salesTransaction } from './salesAudit.js';
+
+// Synthetic sales shaped like the UCI Online Retail data, for working without the hosted database:
+// a mostly British customer base that keeps coming back, multi-line invoices, cancellations and a
+// busy run-up to Christmas. The same options always generate the same lines.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEED_BATCH_SIZE = 500;
+
+// First invoice number of the original dataset
+const FIRST_INVOICE_NO = 536365;
+const FIRST_CUSTOMER_ID = 12346;
+const MAX_PRODUCTS = 10000;
+
+export const SEED_DEFAULTS = {
+    seed: 1,
+    invoices: 2000,
+    products: 300,
+    startDate: '2010-12-01',
+    endDate: '2011-12-09',
+    cancellationRate: 0.02
+};
+
+const COUNTRIES = [
+    ['United Kingdom', 80], ['Germany', 4], ['France', 4], ['EIRE', 3], ['Spain', 1.5], ['Netherlands', 1.5],
+    ['Belgium', 1.2], ['Switzerland', 1.2], ['Portugal', 1], ['Australia', 0.8], ['Norway', 0.8],
+    ['Italy', 0.7], ['Sweden', 0.5], ['Japan', 0.4]
+];
+
+// Trade picks up in the autumn and peaks in November; there are no Saturday sales in the dataset
+const MONTH_WEIGHTS = [0.7, 0.6, 0.8, 0.7, 0.8, 0.8, 0.8, 0.9, 1.2, 1.4, 1.7, 1.3];
+const WEEKDAY_WEIGHTS = [0.6, 1, 1.1, 1.1, 1.2, 0.9, 0];
+const HOUR_WEIGHTS = { 8: 1, 9: 3, 10: 5, 11: 5, 12: 6, 13: 5, 14: 4, 15: 4, 16: 2, 17: 1, 18: 0.5, 19: 0.3 };
+
+const PRODUCT_STYLES = ['WHITE', 'RED', 'PINK', 'BLUE', 'GREEN', 'IVORY', 'VINTAGE', 'RETRO', 'REGENCY', 'SET OF 3', 'JUMBO', 'MINI'];
+const PRODUCT_THEMES = ['HEART', 'SPOTTY', 'FLORAL', 'PAISLEY', 'BIRD', 'STAR', 'POLKADOT', 'DOILY', 'CHRISTMAS'];
+const PRODUCT_ITEMS = [
+    ['T-LIGHT HOLDER', 2.55], ['LUNCH BAG', 1.65], ['TEACUP AND SAUCER', 2.95], ['CAKE STAND', 9.95],
+    ['SHOPPER BAG', 2.08], ['DOORMAT', 7.95], ['PHOTO FRAME', 2.55], ['BUNTING', 4.95], ['NIGHT LIGHT', 1.95],
+    ['HOT WATER BOTTLE', 4.25], ['ALARM CLOCK', 3.75], ['CHALKBOARD', 4.95], ['GIFT WRAP', 0.42],
+    ['PLASTERS IN TIN', 1.65], ['STORAGE JAR', 1.25], ['CANDLE', 0.85], ['NAPKINS', 0.85], ['PAPER CHAIN KIT', 2.95]
+];
+
+// Products of this theme sell almost only in the last quarter
+const SEASONAL_THEME = 'CHRISTMAS';
+
+const QUANTITIES = [[1, 3], [2, 4], [3, 2], [4, 3], [6, 5], [8, 2], [10, 2], [12, 8], [24, 3], [36, 1], [48, 1]];
+const WHOLESALE_QUANTITIES = [[12, 2], [24, 3], [48, 3], [72, 1], [96, 2], [144, 1]];
+
+// Orders shipped abroad often carry a postage line, as in the dataset
+const POSTAGE = { stockCode: 'POST', description: 'POSTAGE', unitPrice: '18.00' };
+
+/**
+ * Seedable pseudo-random generator (mulberry32), so a seed always gives the same sequence.
+ */
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        next,
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        chance: (probability) => next() < probability,
+        pick: (items) => items[Math.floor(next() * items.length)],
+        // Heavy-tailed weight, so a few customers and products account for most sales
+        popularity: () => (1 - next()) ** -0.8
+    };
+};
+
+/**
+ * Returns a function picking one of the items with probability proportional to its weight.
+ */
+const weightedPicker = (items, weights) => {
+    const cumulative = [];
+    let total = 0;
+
+    for (const weight of weights) {
+        total += weight;
+        cumulative.push(total);
+    }
+
+    return (random) => {
+        const target = random.next() * total;
+        let low = 0;
+        let high = cumulative.length - 1;
+
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (cumulative[middle] > target) high = middle;
+            else low = middle + 1;
+        }
+
+        return items[low];
+    };
+};
+
+const pairPicker = (pairs) => weightedPicker(pairs.map(([item]) => item), pairs.map(([, weight]) => weight));
+
+const parseDay = (value, name) => {
+    const date = new Date(`${value}T00:00:00Z`);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(date)) {
+        throw new Error(`${name} must be a date as YYYY-MM-DD`);
+    }
+
+    return date;
+};
+
+const positiveInteger = (value, name) => {
+    if (!Number.isInteger(value) || value < 1) throw new Error(`${name} must be a positive integer`);
+    return value;
+};
+
+/**
+ * Fills in the defaults and checks the options, throwing on invalid ones. Customers default to
+ * one per five invoices, so most of them order several times.
+ */
+const resolveOptions = (options) => {
+    const given = Object.entries(options).filter(([, value]) => value !== undefined);
+    const resolved = { ...SEED_DEFAULTS, ...Object.fromEntries(given) };
+
+    const startDate = parseDay(resolved.startDate, 'startDate');
+    const endDate = parseDay(resolved.endDate, 'endDate');
+
+    if (endDate < startDate) throw new Error('endDate must not be before startDate');
+
+    if (!(resolved.cancellationRate >= 0 && resolved.cancellationRate <= 1)) {
+        throw new Error('cancellationRate must be between 0 and 1');
+    }
+
+    const invoices = positiveInteger(resolved.invoices, 'invoices');
+
+    // Stock codes are drawn from five-digit numbers, so the catalog can't be much larger
+    if (resolved.products > MAX_PRODUCTS) throw new Error(`products must be at most ${MAX_PRODUCTS}`);
+
+    return {
+        seed: positiveInteger(resolved.seed, 'seed'),
+        invoices,
+        customers: positiveInteger(resolved.customers ?? Math.ceil(invoices / 5), 'customers'),
+        products: positiveInteger(resolved.products, 'products'),
+        startDate,
+        endDate,
+        cancellationRate: resolved.cancellationRate
+    };
+};
+
+const createCatalog = (random, size) => {
+    const codes = new Set();
+    const catalog = [];
+
+    // Stock codes are five digits, sometimes with a letter for a variant, like in the dataset
+    while (catalog.length < size) {
+        const stockCode = `${random.int(20000, 90000)}${random.chance(0.1) ? random.pick(['A', 'B', 'C']) : ''}`;
+        if (codes.has(stockCode)) continue;
+        codes.add(stockCode);
+
+        const theme = random.pick(PRODUCT_THEMES);
+        const [item, basePrice] = random.pick(PRODUCT_ITEMS);
+
+        catalog.push({
+            stockCode,
+            description: `${random.pick(PRODUCT_STYLES)} ${theme} ${item}`,
+            unitPrice: (basePrice * random.pick([0.8, 1, 1, 1.2, 1.5])).toFixed(2),
+            seasonal: theme === SEASONAL_THEME,
+            popularity: random.popularity()
+        });
+    }
+
+    // Products a customer is likely to buy in each month of the year
+    return MONTH_WEIGHTS.map((_, month) => weightedPicker(catalog, catalog.map((product) => {
+        if (!product.seasonal) return product.popularity;
+        return product.popularity * (month >= 9 ? 3 : 0.05);
+    })));
+};
+
+const createCustomers = (random, size) => {
+    const pickCountry = pairPicker(COUNTRIES);
+
+    const customers = Array.from({ length: size }, (_, index) => ({
+        customerId: FIRST_CUSTOMER_ID + index,
+        country: pickCountry(random),
+        wholesale: random.chance(0.15)
+    }));
+
+    return weightedPicker(customers, customers.map(() => random.popularity()));
+};
+
+// Every day of the range weighted by its month and weekday, to pick invoice dates from
+const createCalendar = (startDate, endDate) => {
+    const days = [];
+
+    for (let time = startDate.getTime(); time <= endDate.getTime(); time += DAY_MS) {
+        days.push(new Date(time));
+    }
+
+    const weights = days.map((day) => MONTH_WEIGHTS[day.getUTCMonth()] * WEEKDAY_WEIGHTS[day.getUTCDay()]);
+
+    if (!weights.some((weight) => weight > 0)) {
+        throw new Error('The date range has no trading days');
+    }
+
+    return weightedPicker(days, weights);
+};
+
+const saleLines = (header, pickProduct) => {
+    const random = createRandom(header.lineSeed);
+    const { customer } = header;
+    const pickQuantity = pairPicker(customer?.wholesale ? WHOLESALE_QUANTITIES : QUANTITIES);
+    const seen = new Set();
+    const lines = [];
+
+    // Most invoices have a handful of lines, a few have dozens
+    const size = Math.max(1, Math.round(random.next() ** 2 * 40));
+
+    for (let index = 0; index < size; index++) {
+        const product = pickProduct[header.invoiceDate.getUTCMonth()](random);
+        if (seen.has(product.stockCode)) continue;
+        seen.add(product.stockCode);
+
+        lines.push({ ...product, quantity: pickQuantity(random) });
+    }
+
+    if (header.country !== 'United Kingdom' && random.chance(0.6)) {
+        lines.push({ ...POSTAGE, quantity: random.int(1, 4) });
+    }
+
+    return lines;
+};
+
+// A cancellation returns part of the quantities of some lines of an earlier invoice
+const cancellationLines = (header, pickProduct) => {
+    const random = createRandom(header.lineSeed);
+    const original = saleLines(header.cancels, pickProduct);
+
+    return original
+        .filter((_, index) => index === 0 || random.chance(0.3))
+        .map((line) => ({ ...line, quantity: -random.int(1, line.quantity) }));
+};
+
+/**
+ * Generates synthetic sales lines, invoice by invoice in date order, shaped like the salesData
+ * table rows. Options (see SEED_DEFAULTS):
+ * - seed: the same seed and options give the same lines
+ * - invoices: number of sales invoices, cancellations come on top
+ * - customers, products: sizes of the customer base and catalog
+ * - startDate, endDate: first and last day of the invoices, as YYYY-MM-DD
+ * - cancellationRate: share of sales invoices later cancelled, in part or in full
+ */
+export function* generateSalesLines(options = {}) {
+    const { seed, invoices, customers, products, startDate, endDate, cancellationRate } = resolveOptions(options);
+    const random = createRandom(seed);
+
+    const pickProduct = createCatalog(random, products);
+    const pickCustomer = createCustomers(random, customers);
+    const pickDay = createCalendar(startDate, endDate);
+    const pickHour = pairPicker(Object.entries(HOUR_WEIGHTS).map(([hour, weight]) => [Number(hour), weight]));
+    const atTradingHour = (day) => new Date(day.getTime() + (pickHour(random) * 60 + random.int(0, 59)) * 60 * 1000);
+
+    const headers = [];
+
+    for (let index = 0; index < invoices; index++) {
+        // About one invoice in ten has no customer, those are booked as British
+        const customer = random.chance(0.1) ? null : pickCustomer(random);
+        const day = pickDay(random);
+
+        const header = {
+            invoiceDate: atTradingHour(day),
+            customer,
+            country: customer?.country ?? 'United Kingdom',
+            lineSeed: random.int(0, 2 ** 32 - 1)
+        };
+
+        headers.push(header);
+
+        if (!customer || !random.chance(cancellationRate)) continue;
+
+        // Returns come within a month, on a trading day, unless that falls after the range
+        let returnDay = new Date(day.getTime() + random.int(1, 30) * DAY_MS);
+        if (WEEKDAY_WEIGHTS[returnDay.getUTCDay()] === 0) returnDay = new Date(returnDay.getTime() + DAY_MS);
+
+        if (returnDay <= endDate) {
+            headers.push({
+                ...header,
+                invoiceDate: atTradingHour(returnDay),
+                lineSeed: random.int(0, 2 ** 32 - 1),
+                cancels: header
+            });
+        }
+    }
+
+    // Invoice numbers follow the dates, cancellations share the sequence with a "C" prefix
+    headers.sort((a, b) => a.invoiceDate - b.invoiceDate);
+
+    for (const [index, header] of headers.entries()) {
+        const invoiceNo = `${header.cancels ? 'C' : ''}${FIRST_INVOICE_NO + index}`;
+        const lines = header.cancels ? cancellationLines(header, pickProduct) : saleLines(header, pickProduct);
+
+        for (const { stockCode, description, quantity, unitPrice } of lines) {
+            yield {
+                invoiceNo,
+                stockCode,
+                description,
+                quantity,
+                invoiceDate: header.invoiceDate,
+                unitPrice,
+                customerId: header.customer?.customerId ?? null,
+                country: header.country
+            };
+        }
+    }
+}
+
+/**
+ * Inserts generated sales lines (see generateSalesLines), recording their creation in the audit
+ * like any other write, and brings the rollups up to date. The table must be empty unless wipe
+ * is set: then every sales line, audit entry and rollup is deleted first and ids start over, so
+ * the same options give the same ids too. Runs in one transaction, so a failed seed changes
+ * nothing. Returns the numbers of lines, invoices and cancellations inserted.
+ */
+export const seedSalesData = (options, { wipe = false } = {}) => salesTransaction(async (tx) => {
+    if (wipe) {
+        await tx.execute(sql`truncate ${salesData}, ${salesAudit}, ${salesDailyRollup}, ${salesRollupDirtyDays} restart identity`);
+    } else {
+        const [{ total }] = await tx.select({ total: count() }).from(salesData);
+        if (total > 0) throw new Error('The sales table already has data, wipe it to reseed');
+    }
+
+    const actor = { apiKeyId: null, apiKeyName: null, clientIp: null };
+    const stats = { lines: 0, invoices: 0, cancellations: 0 };
+    let batch = [];
+    let lastInvoiceNo = null;
+
+    for (const record of generateSalesLines(options)) {
+        if (record.invoiceNo !== lastInvoiceNo) {
+            lastInvoiceNo = record.invoiceNo;
+            stats[record.invoiceNo.startsWith('C') ? 'cancellations' : 'invoices']++;
+        }
+
+        batch.push(record);
+
+        if (batch.length >= SEED_BATCH_SIZE) {
+            stats.lines += (await insertSalesLines(batch, actor, tx)).length;
+            batch = [];
+        }
+    }
+
+    if (batch.length > 0) {
+        stats.lines += (await insertSalesLines(batch, actor, tx)).length;
+    }
+
+    return stats;
+});
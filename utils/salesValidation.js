@@ -0,0 +1,67 @@
+// Shared validation for incoming sales records (single POST, invoices and bulk import)
+
+import { SalesDataInput } from '../schemas/sales.schemas.js';
+import { validateData, describeErrors } from './requestValidation.js';
+
+// Matches the UCI Online Retail export format, e.g. "12/1/2010 8:26"
+const UCI_DATE_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+
+/**
+ * Parses an invoice date given either as ISO 8601 or in the UCI "M/D/YYYY H:MM" format.
+ * UCI dates carry no timezone and are read as UTC, like the rest of the table.
+ * Returns an invalid Date when the value isn't a real date.
+ */
+export const parseInvoiceDate = (value) => {
+    const match = UCI_DATE_PATTERN.exec(String(value).trim());
+
+    if (match) {
+        const [month, day, year, hours, minutes, seconds = 0] = match.slice(1).map((part) => part && Number(part));
+        const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+
+        // Date.UTC rolls impossible dates over (2/30 becomes 3/2), so check nothing moved
+        const valid = date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+            && hours < 24 && minutes < 60 && seconds < 60;
+
+        return valid ? date : new Date(NaN);
+    }
+
+    return new Date(value);
+};
+
+/**
+ * Converts a validated sales record payload to the shape expected by the salesData table.
+ */
+export const toSalesRecord = ({ invoiceNo, stockCode, description, quantity, invoiceDate, unitPrice, customerId, country }) => ({
+    invoiceNo,
+    stockCode,
+    description: description || null,
+    quantity,
+    invoiceDate: parseInvoiceDate(invoiceDate),
+    unitPrice: unitPrice.toFixed(2),
+    customerId: customerId ?? null,
+    country
+});
+
+/**
+ * Validates a sales record payload against the SalesDataInput schema and converts it to the shape
+ * expected by the salesData table. Returns `{ record }` on success, or `{ error, errors }` with a
+ * client-facing message and the individual field errors. `coerce` converts string values to the
+ * schema types, for untyped input such as CSV rows; JSON input is validated as sent.
+ */
+export const validateSalesRecord = (input = {}, { coerce = false } = {}) => {
+    const candidate = { ...input };
+
+    // UCI dates aren't ISO 8601, so they are converted before the date-time format is checked
+    if (typeof candidate.invoiceDate === 'string' && UCI_DATE_PATTERN.test(candidate.invoiceDate.trim())) {
+        const date = parseInvoiceDate(candidate.invoiceDate);
+        candidate.invoiceDate = isNaN(date) ? candidate.invoiceDate : date.toISOString();
+    }
+
+    const { data, errors } = validateData(SalesDataInput, candidate, { coerce });
+
+    if (errors) {
+        return { error: describeErrors(errors), errors };
+    }
+
+    return { record: toSalesRecord(data) };
+};
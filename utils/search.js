@@ -0,0 +1,50 @@
+import { sql } from 'drizzle-orm';
+import { salesData } from '../DB/schema.js';
+
+export const MAX_SEARCH_LENGTH = 200;
+
+// Must stay identical to the expression of the full-text index in DB/schema.js
+const searchDocument = sql`to_tsvector('english', coalesce(${salesData.description}, ''))`;
+
+const searchQuery = (q) => sql`websearch_to_tsquery('english', ${q})`;
+
+// Minimum pg_trgm word similarity for a fuzzy match. The default threshold of the <% operator
+// (0.6) misses common misspellings such as "lanturn" for "lantern".
+const WORD_SIMILARITY_THRESHOLD = 0.4;
+
+/**
+ * Condition matching descriptions that contain the search words, or resemble them
+ * closely enough to catch misspellings (pg_trgm word similarity).
+ * The threshold is given in the query rather than through the <% operator, whose threshold is a
+ * server setting: the full-text side uses its GIN index, the similarity is computed per line.
+ */
+export const matchesSearch = (q) => sql`(${searchDocument} @@ ${searchQuery(q)} or word_similarity(${q}, coalesce(${salesData.description}, '')) >= ${WORD_SIMILARITY_THRESHOLD})`;
+
+/**
+ * Relevance of a description for the search: full-text rank plus trigram word similarity,
+ * so exact word matches rank first and fuzzy matches still get a score.
+ */
+export const searchRank = (q) => sql`(ts_rank(${searchDocument}, ${searchQuery(q)}) + word_similarity(${q}, coalesce(${salesData.description}, '')))`;
+
+// Marks the words of the text resembling the search, for fuzzy-only matches that ts_headline
+// leaves bare: those at the fuzzy match threshold, or else the closest ones
+const fuzzyHighlight = (q, text) => sql`(
+    select string_agg(case when similarity > 0 and similarity >= least(${WORD_SIMILARITY_THRESHOLD}, best)
+                           then '<mark>' || word || '</mark>' else word end, ' ' order by position)
+    from (
+        select word, position, word_similarity(word, ${q}) as similarity, max(word_similarity(word, ${q})) over () as best
+        from regexp_split_to_table(${text}, '\\s+') with ordinality as words (word, position)
+    ) as words
+)`;
+
+/**
+ * The description with the words matching the search wrapped in <mark> tags: the full-text matches,
+ * or for a misspelled search the words closest to it (whitespace is then collapsed).
+ */
+export const searchSnippet = (q, description = salesData.description) => {
+    const text = sql`coalesce(${description}, '')`;
+
+    return sql`case when to_tsvector('english', ${text}) @@ ${searchQuery(q)}
+        then ts_headline('english', ${text}, ${searchQuery(q)}, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true')
+        else coalesce(${fuzzyHighlight(q, text)}, '') end`;
+};
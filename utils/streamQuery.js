@@ -0,0 +1,57 @@
+import { Transform, pipeline } from 'stream';
+import pg from 'pg';
+import QueryStream from 'pg-query-stream';
+import { pool } from '../config/db.js';
+
+const ROWS_PER_FETCH = 1000;
+
+// timestamp, timestamptz and date come back as raw strings so drizzle's column mappers
+// can convert them exactly like the regular query path does
+const RAW_TYPE_OIDS = new Set([1082, 1114, 1184]);
+
+const types = {
+    getTypeParser: (oid, format) => (
+        RAW_TYPE_OIDS.has(oid) ? (value) => value : pg.types.getTypeParser(oid, format)
+    )
+};
+
+/**
+ * Runs a drizzle select through a server-side cursor and returns an object-mode stream of rows,
+ * so memory use stays flat no matter how many rows match.
+ *
+ * @param query - A drizzle select query builder (not awaited)
+ * @param columns - Map of output field name to drizzle column, e.g. getTableColumns(salesData)
+ */
+export const streamQuery = async (query, columns) => {
+    const { sql, params } = query.toSQL();
+    const client = await pool.connect();
+
+    let released = false;
+    const release = (error) => {
+        if (released) return;
+        released = true;
+        client.release(error);
+    };
+
+    const rows = client.query(new QueryStream(sql, params, { batchSize: ROWS_PER_FETCH, types }));
+    const fields = Object.entries(columns);
+
+    const mapper = new Transform({
+        objectMode: true,
+        transform(row, encoding, callback) {
+            const mapped = {};
+
+            for (const [key, column] of fields) {
+                const value = row[column.name];
+                mapped[key] = value === null ? null : column.mapFromDriverValue(value);
+            }
+
+            callback(null, mapped);
+        }
+    });
+
+    // pipeline tears the cursor down when the consumer goes away (e.g. the client disconnects)
+    pipeline(rows, mapper, (error) => release(error));
+
+    return mapper;
+};